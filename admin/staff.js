@@ -0,0 +1,150 @@
+// Staff access for the admin pages.
+// The user saved at login carries the permissions of their role (admin,
+// coordinator, cashier or kitchen). Pages and sidebar links the user may not
+// use are kept out of reach; the server checks every request anyway.
+
+// Permission needed to open each admin page (null: any staff member)
+const STAFF_PAGE_PERMISSIONS = {
+    'dashboard.html': 'dashboard.view',
+    'bookings.html': 'bookings.view',
+    'checklist.html': 'prep.view',
+    'admin_message.html': 'messages.view',
+    'offers.html': 'offers.manage',
+    'menu_management.html': 'menu.manage',
+    'profile.html': null
+};
+
+function getStaffUser() {
+    try {
+        return JSON.parse(localStorage.getItem('dsis_user'));
+    } catch (e) {
+        return null;
+    }
+}
+
+function staffPermissions(user) {
+    if (!user) return [];
+    if (Array.isArray(user.permissions)) return user.permissions;
+    // Saved before the server sent permissions with the user
+    return (user.userType || user.user_type) === 'admin' ? ['*'] : [];
+}
+
+function staffCan(user, permission) {
+    const permissions = staffPermissions(user);
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Until a required two-factor setup is done only the profile page opens
+function canOpenStaffPage(user, page) {
+    if (staffPermissions(user).length === 0) return false;
+    if (user.twoFactorSetupRequired) return page === 'profile.html';
+    const permission = STAFF_PAGE_PERMISSIONS[page];
+    return !permission || staffCan(user, permission);
+}
+
+// First page the user may open
+function staffHomePage(user) {
+    return Object.keys(STAFF_PAGE_PERMISSIONS).find(page => canOpenStaffPage(user, page)) || 'profile.html';
+}
+
+// Guard for a page's load handler: returns the user, or redirects and
+// returns null
+function requireStaffPage() {
+    const user = getStaffUser();
+    if (!user) { window.location.href = '../login.html'; return null; }
+    if (staffPermissions(user).length === 0) { window.location.href = '../main.html'; return null; }
+
+    const page = window.location.pathname.split('/').pop() || 'dashboard.html';
+    if (!canOpenStaffPage(user, page)) { window.location.href = staffHomePage(user); return null; }
+    return user;
+}
+
+// Hide sidebar links to pages the user may not open
+function applyStaffNavigation(user) {
+    document.querySelectorAll('.sidebar a[href]').forEach(link => {
+        const page = link.getAttribute('href');
+        if (page in STAFF_PAGE_PERMISSIONS && !canOpenStaffPage(user, page)) {
+            link.closest('li').hidden = true;
+        }
+    });
+}
+
+// Log out: end the session on the server and forget it in this browser
+async function endStaffSession(apiBase) {
+    const refreshToken = localStorage.getItem('dsis_refresh_token');
+    try {
+        if (refreshToken) {
+            await fetch(`${apiBase}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+        }
+    } catch (e) {
+        console.error('Logout error:', e);
+    }
+    forgetStaffSession();
+}
+
+function forgetStaffSession() {
+    localStorage.removeItem('dsis_user');
+    localStorage.removeItem('dsis_token');
+    localStorage.removeItem('dsis_refresh_token');
+}
+
+// Access tokens are short-lived. The pages call fetch directly, so fetch is
+// wrapped: an API request answered with "Token expired" is repeated once
+// after renewing the token with the session's refresh token. When the
+// session has ended the user is sent back to the login page.
+const staffFetch = window.fetch.bind(window);
+let staffRefresh = null;
+
+function refreshStaffSession(apiBase) {
+    if (!staffRefresh) {
+        staffRefresh = staffFetch(`${apiBase}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: localStorage.getItem('dsis_refresh_token') })
+        })
+            .then(async response => {
+                const body = await response.json();
+                if (!response.ok) throw new Error(body.error || 'Session expired');
+
+                localStorage.setItem('dsis_token', body.token);
+                localStorage.setItem('dsis_refresh_token', body.refreshToken);
+                localStorage.setItem('dsis_user', JSON.stringify(body.user));
+                return body.token;
+            })
+            .finally(() => { staffRefresh = null; });
+    }
+    return staffRefresh;
+}
+
+window.fetch = async (input, init = {}) => {
+    const response = await staffFetch(input, init);
+    const url = typeof input === 'string' ? input : input.url;
+    const apiIndex = url.indexOf('/api/');
+    if (response.status !== 401 || apiIndex === -1 || /\/auth\/(login|refresh|logout)/.test(url)) {
+        return response;
+    }
+
+    const body = await response.clone().json().catch(() => ({}));
+    if (body.error === 'Token expired' && localStorage.getItem('dsis_refresh_token')) {
+        try {
+            const token = await refreshStaffSession(url.slice(0, apiIndex + 4));
+            const headers = new Headers(init.headers || {});
+            headers.set('Authorization', `Bearer ${token}`);
+            return staffFetch(input, { ...init, headers });
+        } catch (e) {
+            console.error('Session refresh failed:', e);
+        }
+    } else if (body.code !== 'SESSION_ENDED') {
+        return response;
+    }
+
+    forgetStaffSession();
+    window.location.href = '../login.html';
+    return response;
+};
+
+document.addEventListener('DOMContentLoaded', () => applyStaffNavigation(getStaffUser()));
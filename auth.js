@@ -19,6 +19,17 @@ class AuthSystem {
 
     checkAuthStatus() {
         const userData = localStorage.getItem('dsis_user');
+        const token = localStorage.getItem('dsis_token');
+
+        // Sessions from before signed tokens can't call the API any more
+        if (userData && (!token || token.startsWith('simple_token_'))) {
+            localStorage.removeItem('dsis_user');
+            localStorage.removeItem('dsis_token');
+            localStorage.removeItem('dsis_refresh_token');
+            this.redirectToLogin();
+            return;
+        }
+
         if (userData) {
             this.currentUser = JSON.parse(userData);
             this.updateUIForLoggedInUser();
@@ -29,9 +40,20 @@ class AuthSystem {
 
     async login(email, password) {
         try {
-            const response = await api.login(email, password);
+            let response = await api.login(email, password);
+
+            // Two-factor accounts: ask for the authenticator (or a recovery) code
+            if (response.twoFactorRequired) {
+                const code = window.prompt('Enter the 6-digit code from your authenticator app, or one of your recovery codes:');
+                if (!code) {
+                    return false;
+                }
+                response = await api.verifyTwoFactor(response.challengeToken, code.trim());
+            }
+
             this.currentUser = response.user;
             api.setToken(response.token);
+            api.setRefreshToken(response.refreshToken);
             if (response.token) {
                 try {
                     localStorage.setItem('dsis_token', response.token);
@@ -44,6 +66,10 @@ class AuthSystem {
             return true;
         } catch (error) {
             console.error('Login error:', error);
+            // Too many failed attempts or a wrong code: let the caller say so
+            if (error.status === 429 || (error.data && error.data.code === 'INVALID_TWO_FACTOR_CODE')) {
+                throw error;
+            }
             return false;
         }
     }
@@ -62,6 +88,7 @@ class AuthSystem {
         this.currentUser = null;
         localStorage.removeItem('dsis_user');
         api.setToken(null);
+        api.setRefreshToken(null);
         this.redirectToLogin();
     }
 
@@ -69,6 +96,14 @@ class AuthSystem {
         return this.currentUser !== null;
     }
 
+    // Admins and the other staff roles (coordinator, cashier, kitchen) work
+    // in the admin pages
+    isStaff() {
+        const user = this.currentUser || {};
+        const permissions = user.permissions || [];
+        return permissions.length > 0 || user.userType === 'admin' || user.user_type === 'admin';
+    }
+
     getCurrentUser() {
         return this.currentUser;
     }
@@ -118,8 +153,7 @@ class AuthSystem {
         const firstName = this.currentUser.firstName || this.currentUser.first_name || '';
         const lastName = this.currentUser.lastName || this.currentUser.last_name || '';
         const email = this.currentUser.email || '';
-        const isAdmin = (this.currentUser.userType === 'admin') || (this.currentUser.user_type === 'admin');
-        const profileLink = isAdmin ? 'admin/profile.html' : 'profile.html';
+        const profileLink = this.isStaff() ? 'admin/profile.html' : 'profile.html';
         
         menu.innerHTML = `
             <div style="padding: 10px; border-bottom: 1px solid #eee;">
@@ -160,9 +194,11 @@ class AuthSystem {
         try {
             const success = await this.login(email, password);
             if (success) {
-                const isAdmin = (this.currentUser.userType === 'admin') || (this.currentUser.user_type === 'admin');
                 const inAdminPath = window.location.pathname.includes('/admin/');
-                if (isAdmin) {
+                if (this.currentUser.twoFactorSetupRequired) {
+                    alert('Two-factor authentication is required for staff accounts. Please set it up now.');
+                    window.location.href = inAdminPath ? 'profile.html#two-factor' : 'admin/profile.html#two-factor';
+                } else if (this.isStaff()) {
                     window.location.href = inAdminPath ? 'dashboard.html' : 'admin/dashboard.html';
                 } else {
                     window.location.href = inAdminPath ? '../main.html' : 'main.html';
@@ -172,7 +208,7 @@ class AuthSystem {
             }
         } catch (error) {
             console.error('Login error:', error);
-            alert('An error occurred during login. Please try again.');
+            alert(error.status === 429 || error.data?.code ? error.message : 'An error occurred during login. Please try again.');
         }
         return false;
     }
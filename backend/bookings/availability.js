@@ -0,0 +1,327 @@
+// When bookings can be made.
+//
+// The rules live in the 'availability' setting (admins change them from the
+// bookings page) and default to DEFAULT_RULES:
+//   slots            time slots of a day, { id, label }
+//   eventsPerSlot    events we can serve at the same time (one per slot)
+//   maxEventsPerDay  events per day, over all slots
+//   maxGuestsPerDay  guests per day the kitchen can cook for
+//   minLeadDays      days ahead a booking must be made
+//   leadDays         longer lead times per event type, e.g. { wedding: 14 }
+//   closedWeekdays   days of the week we don't cater (0 is Sunday)
+//   blackoutDates    days we don't cater, { date, reason } (holidays etc.)
+//
+// Every booking that holds its date counts against these, and so does every
+// waitlist hold that hasn't run out (see waitlist.js). Older bookings
+// without a time slot were made when a booking took the whole day, so they
+// fill every slot.
+
+const { holdsDate } = require('./lifecycle');
+const { EVENT_TYPES } = require('../pricing/promo-codes');
+
+const SETTING_KEY = 'availability';
+
+const DEFAULT_RULES = {
+  slots: [
+    { id: 'morning', label: 'Morning Slot (8:00 AM - 2:00 PM)' },
+    { id: 'afternoon', label: 'Afternoon/Evening Slot (3:00 PM - 11:00 PM)' }
+  ],
+  eventsPerSlot: 1,
+  maxEventsPerDay: 2,
+  maxGuestsPerDay: 500,
+  minLeadDays: 3,
+  leadDays: { wedding: 14, debut: 14, corporate: 7 },
+  closedWeekdays: [],
+  blackoutDates: []
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const SLOT_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+async function getRules(db) {
+  return { ...DEFAULT_RULES, ...(await db.settings.getValue(SETTING_KEY, {})) };
+}
+
+async function saveRules(db, rules) {
+  return db.settings.setValue(SETTING_KEY, rules);
+}
+
+// Today's date (YYYY-MM-DD) where the server is
+function localDate(now) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+function isValidDate(date) {
+  return DATE_PATTERN.test(date || '') && !Number.isNaN(Date.parse(date)) &&
+    new Date(date).toISOString().slice(0, 10) === date;
+}
+
+function leadDaysFor(rules, eventType) {
+  const type = String(eventType || '').toLowerCase();
+  return Math.max(rules.minLeadDays || 0, (rules.leadDays || {})[type] || 0);
+}
+
+// Why the whole day can't be booked (for eventType, when given), as
+// { reason, error }, or null. Reasons: 'INVALID_DATE', 'PAST', 'LEAD_TIME',
+// 'BLACKOUT', 'CLOSED'.
+function dateProblem(rules, date, { eventType, now = new Date() } = {}) {
+  if (!isValidDate(date)) {
+    return { reason: 'INVALID_DATE', error: 'Please choose a valid event date' };
+  }
+
+  const daysAhead = daysBetween(localDate(now), date);
+  if (daysAhead < 0) {
+    return { reason: 'PAST', error: 'Past dates are not available' };
+  }
+
+  const leadDays = leadDaysFor(rules, eventType);
+  if (daysAhead < leadDays) {
+    const what = eventType && (rules.leadDays || {})[String(eventType).toLowerCase()]
+      ? `${String(eventType).toLowerCase()} bookings`
+      : 'bookings';
+    return { reason: 'LEAD_TIME', error: `Please make ${what} at least ${leadDays} days ahead` };
+  }
+
+  const blackout = (rules.blackoutDates || []).find(entry => entry.date === date);
+  if (blackout) {
+    return { reason: 'BLACKOUT', error: blackout.reason ? `We are closed on this date (${blackout.reason})` : 'We are closed on this date' };
+  }
+
+  if ((rules.closedWeekdays || []).includes(new Date(date).getUTCDay())) {
+    return { reason: 'CLOSED', error: 'We do not cater on this day of the week' };
+  }
+  return null;
+}
+
+// Places taken by waitlist entries offered a hold that hasn't run out, in
+// the shape of the bookings they stand in for
+function holdPlaces(entries, now = new Date()) {
+  return entries
+    .filter(entry => entry.status === 'offered' && new Date(entry.holdExpiresAt) > now)
+    .map(entry => ({ eventDate: entry.eventDate, timeSlot: entry.heldSlot, numGuests: entry.numGuests, userId: entry.userId }));
+}
+
+// Bookings holding their date and live waitlist holds on dates: one
+// YYYY-MM-DD date (looked up by index) or a predicate on the date. A hold
+// doesn't count against the customer it is held for (exceptUserId), nor a
+// booking being changed against itself (exceptBookingId).
+async function takenPlaces(db, dates, { now = new Date(), exceptUserId = null, exceptBookingId = null } = {}) {
+  const onDates = async repository => (typeof dates === 'function'
+    ? repository.filter(record => dates(record.eventDate))
+    : repository.findBy('eventDate', dates));
+  const bookings = (await onDates(db.bookings)).filter(booking =>
+    holdsDate(booking) && booking.id !== exceptBookingId
+  );
+  const entries = await onDates(db.waitlist);
+  const holds = holdPlaces(entries, now).filter(hold => exceptUserId === null || hold.userId !== exceptUserId);
+  return [...bookings, ...holds];
+}
+
+// Availability of one day given the bookings (and holds) on it. With numGuests, a day
+// without room for that many guests is not available. Returns
+// { date, available, reason, error, events, guests, remainingGuests, slots }
+// where slots are { id, label, available, reason }. Reasons on top of
+// dateProblem's: 'FULLY_BOOKED', 'GUEST_CAPACITY', 'SLOT_TAKEN'.
+function dayAvailability(rules, date, dateBookings, { eventType, numGuests, now } = {}) {
+  const held = dateBookings.filter(holdsDate);
+  const events = held.length;
+  const guests = held.reduce((sum, booking) => sum + (parseInt(booking.numGuests) || 0), 0);
+  const remainingGuests = Math.max(0, rules.maxGuestsPerDay - guests);
+  const slotIds = rules.slots.map(slot => slot.id);
+
+  let problem = dateProblem(rules, date, { eventType, now });
+  if (!problem && events >= rules.maxEventsPerDay) {
+    problem = { reason: 'FULLY_BOOKED', error: 'Sorry, this date is fully booked. Please choose another date.' };
+  }
+  if (!problem && (remainingGuests <= 0 || (parseInt(numGuests) || 0) > remainingGuests)) {
+    problem = {
+      reason: 'GUEST_CAPACITY',
+      error: remainingGuests > 0
+        ? `We can only take ${remainingGuests} more guests on this date`
+        : 'Sorry, our kitchen is fully booked on this date. Please choose another date.'
+    };
+  }
+
+  const slots = rules.slots.map(slot => {
+    const inSlot = held.filter(booking => !slotIds.includes(booking.timeSlot) || booking.timeSlot === slot.id).length;
+    const taken = inSlot >= rules.eventsPerSlot;
+    return {
+      id: slot.id,
+      label: slot.label,
+      available: !problem && !taken,
+      reason: problem ? problem.reason : (taken ? 'SLOT_TAKEN' : null)
+    };
+  });
+
+  if (!problem && !slots.some(slot => slot.available)) {
+    problem = { reason: 'FULLY_BOOKED', error: 'Sorry, this date is fully booked. Please choose another date.' };
+  }
+
+  return {
+    date,
+    available: !problem,
+    reason: problem ? problem.reason : null,
+    error: problem ? problem.error : null,
+    events,
+    guests,
+    remainingGuests,
+    slots
+  };
+}
+
+// Day availability of every day of month (YYYY-MM). options are
+// dayAvailability's, and exceptUserId to leave out that customer's holds.
+async function monthAvailability(db, month, options = {}) {
+  const rules = await getRules(db);
+  const [year, monthNumber] = month.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  const monthBookings = await takenPlaces(db, date => String(date || '').startsWith(`${month}-`), { now: options.now, exceptUserId: options.exceptUserId });
+
+  const days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = `${month}-${String(day).padStart(2, '0')}`;
+    days.push(dayAvailability(rules, date, monthBookings.filter(b => b.eventDate === date), options));
+  }
+  return { rules, days };
+}
+
+// Why a new booking ({ eventDate, timeSlot, eventType, numGuests }) for
+// customer userId can't be made, as { reason, error }, or null; with
+// bookingId, why the booking can't be moved there. Reasons are
+// dayAvailability's plus 'INVALID_SLOT'.
+async function bookingProblem(db, { eventDate, timeSlot, eventType, numGuests }, { userId = null, bookingId = null, now = new Date() } = {}) {
+  const rules = await getRules(db);
+  const dateBookings = await takenPlaces(db, eventDate, {
+    now, exceptUserId: userId, exceptBookingId: bookingId
+  });
+  const day = dayAvailability(rules, eventDate, dateBookings, { eventType, numGuests, now });
+
+  if (!day.available) {
+    return { reason: day.reason, error: day.error };
+  }
+
+  const slot = day.slots.find(s => s.id === timeSlot);
+  if (!slot) {
+    return { reason: 'INVALID_SLOT', error: `Please choose a time slot (${rules.slots.map(s => s.id).join(', ')})` };
+  }
+  if (!slot.available) {
+    return { reason: slot.reason, error: `Sorry, the ${slot.label} is already booked on this date. Please choose another slot.` };
+  }
+  return null;
+}
+
+// Run fn while holding eventDate's availability lock. Checking a date and
+// saving what takes a place on it (a booking, a change, a waitlist hold)
+// happen together under the lock, so two requests can't both take the
+// last place. Not reentrant: fn must not take the same date's lock again.
+function withDateLock(db, eventDate, fn) {
+  return db.store.withLock(`availability:${eventDate}`, fn);
+}
+
+// Availability rules from an admin's request body, on top of the current
+// rules. Returns { rules } or { error }.
+function parseRules(body, current) {
+  const rules = { ...current };
+  const wholeNumber = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+
+  if (body.slots !== undefined) {
+    if (!Array.isArray(body.slots) || body.slots.length === 0) {
+      return { error: 'There must be at least one time slot' };
+    }
+    const slots = body.slots.map(slot => ({
+      id: String((slot && slot.id) || '').trim().toLowerCase(),
+      label: String((slot && slot.label) || '').trim()
+    }));
+    if (slots.some(slot => !SLOT_ID_PATTERN.test(slot.id) || !slot.label)) {
+      return { error: 'Each time slot needs an id (letters, numbers, - or _) and a label' };
+    }
+    if (new Set(slots.map(slot => slot.id)).size !== slots.length) {
+      return { error: 'Time slot ids must be different' };
+    }
+    rules.slots = slots;
+  }
+
+  for (const [field, min, label] of [
+    ['eventsPerSlot', 1, 'Events per slot'],
+    ['maxEventsPerDay', 1, 'Events per day'],
+    ['maxGuestsPerDay', 1, 'Guests per day'],
+    ['minLeadDays', 0, 'Minimum lead time']
+  ]) {
+    if (body[field] !== undefined) {
+      if (!wholeNumber(body[field], min)) {
+        return { error: `${label} must be a whole number of at least ${min}` };
+      }
+      rules[field] = Number(body[field]);
+    }
+  }
+
+  if (body.leadDays !== undefined) {
+    if (!body.leadDays || typeof body.leadDays !== 'object' || Array.isArray(body.leadDays)) {
+      return { error: 'Lead times must map event types to days' };
+    }
+    const leadDays = {};
+    for (const [type, days] of Object.entries(body.leadDays)) {
+      const eventType = type.toLowerCase();
+      if (!EVENT_TYPES.includes(eventType)) {
+        return { error: `Unknown event type: ${type}` };
+      }
+      if (!wholeNumber(days, 0)) {
+        return { error: `Lead time for ${eventType} must be a whole number of days` };
+      }
+      if (Number(days) > 0) {
+        leadDays[eventType] = Number(days);
+      }
+    }
+    rules.leadDays = leadDays;
+  }
+
+  if (body.closedWeekdays !== undefined) {
+    const weekdays = Array.isArray(body.closedWeekdays) ? body.closedWeekdays.map(Number) : null;
+    if (!weekdays || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Closed weekdays must be numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    rules.closedWeekdays = [...new Set(weekdays)].sort();
+  }
+
+  if (body.blackoutDates !== undefined) {
+    if (!Array.isArray(body.blackoutDates)) {
+      return { error: 'Blackout dates must be a list' };
+    }
+    const blackoutDates = body.blackoutDates.map(entry => ({
+      date: String((entry && entry.date) || ''),
+      reason: String((entry && entry.reason) || '').trim()
+    }));
+    const invalid = blackoutDates.find(entry => !isValidDate(entry.date));
+    if (invalid) {
+      return { error: `Invalid blackout date: ${invalid.date || '(empty)'}` };
+    }
+    rules.blackoutDates = blackoutDates
+      .filter((entry, index) => blackoutDates.findIndex(other => other.date === entry.date) === index)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  return { rules };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  withDateLock,
+  MONTH_PATTERN,
+  getRules,
+  saveRules,
+  parseRules,
+  localDate,
+  isValidDate,
+  holdPlaces,
+  takenPlaces,
+  dayAvailability,
+  monthAvailability,
+  bookingProblem
+};
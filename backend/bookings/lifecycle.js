@@ -0,0 +1,232 @@
+// Booking lifecycle.
+//
+//   pending → confirmed → deposit_paid → in_preparation → completed
+//
+// with cancelled (needs a reason) and no_show as ends along the way. Every
+// status change goes through changeStatus(), which checks TRANSITIONS,
+// records it in the booking's statusHistory (who, when, why) and then runs
+// the status change hooks: mail to the customer, the promo code use given
+// back on cancelling, and whatever other modules add with onStatusChange().
+//
+// A booking holds its date in every status but cancelled (holdsDate), so
+// cancelling frees the date at once.
+
+const { hasPermission } = require('../middleware/auth');
+const { getMailer } = require('../mail');
+const { formatPeso } = require('../pricing/money');
+
+const STATUSES = ['pending', 'confirmed', 'deposit_paid', 'in_preparation', 'completed', 'cancelled', 'no_show'];
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  deposit_paid: 'deposit paid',
+  in_preparation: 'in preparation',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  no_show: 'no-show'
+};
+
+// The customer the booking belongs to (rather than a staff permission)
+const OWNER = 'owner';
+
+// Allowed changes: from → to → who may make them (staff permissions, or
+// OWNER)
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['bookings.status'],
+    cancelled: ['bookings.status', OWNER]
+  },
+  confirmed: {
+    deposit_paid: ['payments.update'],
+    cancelled: ['bookings.status', OWNER],
+    no_show: ['bookings.status']
+  },
+  deposit_paid: {
+    in_preparation: ['bookings.status', 'prep.checklist'],
+    cancelled: ['bookings.status'],
+    no_show: ['bookings.status']
+  },
+  in_preparation: {
+    completed: ['bookings.status'],
+    no_show: ['bookings.status']
+  },
+  completed: {},
+  cancelled: {},
+  no_show: {}
+};
+
+// Statuses that need a reason
+const REASON_REQUIRED = ['cancelled'];
+
+// code: 'UNKNOWN_STATUS', 'INVALID_TRANSITION', 'TRANSITION_NOT_ALLOWED'
+// or 'REASON_REQUIRED'; status is the HTTP status to answer with
+class TransitionError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'TransitionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function statusOf(booking) {
+  return booking.bookingStatus || 'pending';
+}
+
+function holdsDate(booking) {
+  return statusOf(booking) !== 'cancelled';
+}
+
+// Whether user may make a change allowed to `who`
+function mayChange(db, user, booking, who) {
+  return who.some(actor => actor === OWNER
+    ? db.bookings.belongsTo(booking, user)
+    : hasPermission(user, actor));
+}
+
+// Statuses user may move the booking to from where it is now
+function nextStatuses(db, user, booking) {
+  const allowed = TRANSITIONS[statusOf(booking)] || {};
+  return Object.keys(allowed).filter(to => mayChange(db, user, booking, allowed[to]));
+}
+
+const hooks = [];
+
+// Run hook({ db, booking, from, to, reason, user }) after every status
+// change. A failing hook is logged; the change stands.
+function onStatusChange(hook) {
+  hooks.push(hook);
+}
+
+// Move booking `id` to status `to` as user (null for changes the system
+// makes itself, which skip the who-may check). details are booking fields
+// set along with the status (e.g. the cancellation fee), or a function of
+// the booking returning them; they are noted in the history entry too.
+// Resolves to the updated booking, or null when there is no such booking;
+// throws a TransitionError when the change isn't allowed.
+async function changeStatus(db, id, to, { user = null, reason = '', details = null } = {}) {
+  if (!STATUSES.includes(to)) {
+    throw new TransitionError('UNKNOWN_STATUS', `Unknown booking status "${to}"`, 400);
+  }
+
+  const why = String(reason || '').trim();
+  let from;
+
+  // Checked under the lock so two changes can't both start from the same status
+  const booking = await db.bookings.update(id, current => {
+    from = statusOf(current);
+    const who = (TRANSITIONS[from] || {})[to];
+
+    if (!who) {
+      throw new TransitionError('INVALID_TRANSITION',
+        `A ${STATUS_LABELS[from] || from} booking can't be marked ${STATUS_LABELS[to]}`, 409);
+    }
+    if (user && !mayChange(db, user, current, who)) {
+      throw new TransitionError('TRANSITION_NOT_ALLOWED',
+        `You can't mark this booking ${STATUS_LABELS[to]}`, 403);
+    }
+    if (REASON_REQUIRED.includes(to) && !why) {
+      throw new TransitionError('REASON_REQUIRED', `Please give a reason for marking the booking ${STATUS_LABELS[to]}`, 400);
+    }
+
+    const at = new Date().toISOString();
+    const extra = (typeof details === 'function' ? details(current) : details) || {};
+    return {
+      ...current,
+      ...extra,
+      bookingStatus: to,
+      updatedAt: at,
+      statusHistory: [
+        ...(current.statusHistory || []),
+        {
+          from,
+          to,
+          at,
+          by: user ? { id: user.id, email: user.email, userType: user.userType } : null,
+          reason: why,
+          ...(Object.keys(extra).length > 0 ? { details: extra } : {})
+        }
+      ]
+    };
+  });
+
+  if (!booking) {
+    return null;
+  }
+
+  for (const hook of hooks) {
+    try {
+      await hook({ db, booking, from, to, reason: why, user });
+    } catch (error) {
+      console.error(`Booking ${booking.bookingId} ${from} → ${to} hook error:`, error);
+    }
+  }
+  return booking;
+}
+
+// What the customer is told about each status
+const CUSTOMER_MESSAGES = {
+  confirmed: booking => ({
+    subject: `Your booking ${booking.bookingId} is confirmed`,
+    text: `We have confirmed your ${booking.eventType} booking on ${booking.eventDate} at ${booking.eventVenue}.`
+  }),
+  deposit_paid: booking => ({
+    subject: `Deposit received for booking ${booking.bookingId}`,
+    text: `We have received the deposit for your ${booking.eventType} on ${booking.eventDate}. Your date is secured.`
+  }),
+  in_preparation: booking => ({
+    subject: `We're preparing for booking ${booking.bookingId}`,
+    text: `Our kitchen has started preparing for your ${booking.eventType} on ${booking.eventDate}.`
+  }),
+  completed: booking => ({
+    subject: `Thank you for booking with d'sis Catering`,
+    text: `Your ${booking.eventType} on ${booking.eventDate} is complete. We hope you and your guests enjoyed it.`
+  }),
+  cancelled: (booking, reason) => {
+    const fee = booking.cancellationFee;
+    return {
+      subject: `Booking ${booking.bookingId} was cancelled`,
+      text: `Your ${booking.eventType} booking on ${booking.eventDate} was cancelled.\nReason: ${reason}` +
+        (fee && fee.fee > 0
+          ? `\nUnder our cancellation policy a fee of ${formatPeso(fee.fee)} (${fee.feePercent}% of the booking) applies.`
+          : '')
+    };
+  },
+  no_show: booking => ({
+    subject: `Booking ${booking.bookingId} was marked as a no-show`,
+    text: `We were not able to serve your ${booking.eventType} on ${booking.eventDate}. Please contact us if this is a mistake.`
+  })
+};
+
+onStatusChange(async ({ booking, to, reason }) => {
+  const message = CUSTOMER_MESSAGES[to];
+  if (!message || !booking.customerEmail) {
+    return;
+  }
+
+  const { subject, text } = message(booking, reason);
+  await getMailer().send({
+    to: booking.customerEmail,
+    subject,
+    text: [`Hi ${booking.customerName || 'there'},`, '', text, '', "d'sis Catering"].join('\n')
+  });
+});
+
+// A cancelled booking gives its promo code use back
+onStatusChange(async ({ db, booking, to }) => {
+  if (to === 'cancelled') {
+    await db.promoCodes.releaseFor(booking);
+  }
+});
+
+module.exports = {
+  STATUSES,
+  STATUS_LABELS,
+  TRANSITIONS,
+  TransitionError,
+  changeStatus,
+  nextStatuses,
+  holdsDate,
+  onStatusChange
+};
@@ -0,0 +1,137 @@
+// What customers may change on their own bookings, and what cancelling
+// costs them.
+//
+// The policy lives in the 'bookingPolicy' setting (admins change it from
+// the bookings page) and defaults to DEFAULT_POLICY:
+//   changeCutoffDays    changes (date, time slot, guests, menu) are allowed
+//                       until this many days before the event
+//   cancellationTiers   [{ daysBefore, feePercent }]: cancelling at least
+//                       daysBefore days before the event costs feePercent of
+//                       the booking total; the tier with the most days that
+//                       still applies is used, 100% when none does
+//   feeOnPending        whether cancelling a booking we haven't confirmed
+//                       yet costs a fee too
+//
+// Staff aren't held to the policy.
+
+const { roundMoney } = require('../pricing/money');
+
+const SETTING_KEY = 'bookingPolicy';
+
+// Statuses in which the customer may still change the booking
+const CHANGEABLE_STATUSES = ['pending', 'confirmed'];
+
+const DEFAULT_POLICY = {
+  changeCutoffDays: 7,
+  cancellationTiers: [
+    { daysBefore: 30, feePercent: 0 },
+    { daysBefore: 14, feePercent: 25 },
+    { daysBefore: 7, feePercent: 50 }
+  ],
+  feeOnPending: false
+};
+
+async function getPolicy(db) {
+  return { ...DEFAULT_POLICY, ...(await db.settings.getValue(SETTING_KEY, {})) };
+}
+
+async function savePolicy(db, policy) {
+  return db.settings.setValue(SETTING_KEY, policy);
+}
+
+// Whole days from now until the event (negative once it has passed)
+function daysBeforeEvent(booking, now = new Date()) {
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((Date.parse(booking.eventDate) - today) / 86400000);
+}
+
+// Why the customer can't change the booking any more, as { reason, error },
+// or null. Reasons: 'NOT_CHANGEABLE', 'CHANGE_CUTOFF'.
+function changeProblem(policy, booking, now = new Date()) {
+  if (!CHANGEABLE_STATUSES.includes(booking.bookingStatus || 'pending')) {
+    return { reason: 'NOT_CHANGEABLE', error: `A ${booking.bookingStatus} booking can't be changed` };
+  }
+  if (daysBeforeEvent(booking, now) < policy.changeCutoffDays) {
+    return {
+      reason: 'CHANGE_CUTOFF',
+      error: `Bookings can only be changed up to ${policy.changeCutoffDays} days before the event. Please contact us instead.`
+    };
+  }
+  return null;
+}
+
+// What cancelling the booking now costs: { daysBefore, feePercent, fee }
+function cancellationFee(policy, booking, now = new Date()) {
+  const daysBefore = daysBeforeEvent(booking, now);
+  const pending = (booking.bookingStatus || 'pending') === 'pending';
+
+  let feePercent = 100;
+  if (pending && !policy.feeOnPending) {
+    feePercent = 0;
+  } else {
+    const tier = [...policy.cancellationTiers]
+      .sort((a, b) => b.daysBefore - a.daysBefore)
+      .find(t => daysBefore >= t.daysBefore);
+    if (tier) {
+      feePercent = tier.feePercent;
+    }
+  }
+
+  return {
+    daysBefore,
+    feePercent,
+    fee: roundMoney((Number(booking.totalAmount) || 0) * feePercent / 100)
+  };
+}
+
+// Booking policy from an admin's request body, on top of the current
+// policy. Returns { policy } or { error }.
+function parsePolicy(body, current) {
+  const policy = { ...current };
+  const wholeNumber = value => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+  if (body.changeCutoffDays !== undefined) {
+    if (!wholeNumber(body.changeCutoffDays)) {
+      return { error: 'Change cut-off must be a whole number of days' };
+    }
+    policy.changeCutoffDays = Number(body.changeCutoffDays);
+  }
+
+  if (body.cancellationTiers !== undefined) {
+    if (!Array.isArray(body.cancellationTiers)) {
+      return { error: 'Cancellation tiers must be a list' };
+    }
+    const tiers = [];
+    for (const input of body.cancellationTiers) {
+      const daysBefore = Number(input && input.daysBefore);
+      const feePercent = Number(input && input.feePercent);
+      if (!wholeNumber(daysBefore)) {
+        return { error: 'Each cancellation tier needs a whole number of days before the event' };
+      }
+      if (!(feePercent >= 0 && feePercent <= 100)) {
+        return { error: 'Cancellation fees must be between 0% and 100%' };
+      }
+      if (tiers.some(tier => tier.daysBefore === daysBefore)) {
+        return { error: `There are two cancellation tiers for ${daysBefore} days` };
+      }
+      tiers.push({ daysBefore, feePercent });
+    }
+    policy.cancellationTiers = tiers.sort((a, b) => b.daysBefore - a.daysBefore);
+  }
+
+  if (body.feeOnPending !== undefined) {
+    policy.feeOnPending = body.feeOnPending === true || body.feeOnPending === 'true';
+  }
+
+  return { policy };
+}
+
+module.exports = {
+  CHANGEABLE_STATUSES,
+  DEFAULT_POLICY,
+  getPolicy,
+  savePolicy,
+  parsePolicy,
+  changeProblem,
+  cancellationFee
+};
@@ -0,0 +1,225 @@
+// Waitlist for dates (or time slots) that are fully booked.
+//
+// Customers join with their event details (db.waitlist). When a place on
+// the date frees up (a booking is cancelled or deleted, a hold runs out or
+// is given up) the entries waiting for it are offered a hold in the order
+// they joined, as long as the day has room for their event: the slot is
+// kept for them for WAITLIST_HOLD_HOURS and they get an email. The hold
+// counts against availability like a booking (see availability.js) until
+// they book, give it up or it runs out.
+//
+// Entry status: 'waiting' → 'offered' → 'booked', or 'expired' (hold ran
+// out or the date passed) or 'left' (the customer gave up).
+
+const { getMailer } = require('../mail');
+const { holdsDate, onStatusChange } = require('./lifecycle');
+const { getRules, localDate, dayAvailability, holdPlaces, withDateLock } = require('./availability');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+function numberSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function holdHours() {
+  return numberSetting('WAITLIST_HOLD_HOURS', 24);
+}
+
+function byJoined(a, b) {
+  return new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id;
+}
+
+function isActive(entry) {
+  return ACTIVE_STATUSES.includes(entry.status);
+}
+
+// Place in the queue for the entry's date (1 is next), or null when the
+// entry isn't waiting
+function positionOf(entry, entries) {
+  if (entry.status !== 'waiting') {
+    return null;
+  }
+  const queue = entries
+    .filter(other => other.eventDate === entry.eventDate && other.status === 'waiting')
+    .sort(byJoined);
+  return queue.findIndex(other => other.id === entry.id) + 1;
+}
+
+// Offer holds on eventDate to the entries waiting for it, first come first
+// served, while the day has room. Resolves to the entries offered a hold.
+async function offerFreedPlaces(db, eventDate, now = new Date()) {
+  const rules = await getRules(db);
+  const expiresAt = new Date(now.getTime() + holdHours() * 3600000).toISOString();
+
+  // Under the date's lock, so a place is never offered twice nor to the
+  // waitlist and a new booking at once
+  const offered = await withDateLock(db, eventDate, async () => {
+    const bookings = await db.bookings.filter(booking => booking.eventDate === eventDate && holdsDate(booking));
+    return db.waitlist.mutate(records => {
+      const onDate = records.filter(entry => entry.eventDate === eventDate);
+      const made = [];
+
+      onDate.filter(entry => entry.status === 'waiting').sort(byJoined).forEach(entry => {
+        const taken = [...bookings, ...holdPlaces(onDate, now)];
+        const day = dayAvailability(rules, eventDate, taken, { eventType: entry.eventType, numGuests: entry.numGuests, now });
+        const slot = day.available && day.slots.find(s => s.available && (!entry.timeSlot || s.id === entry.timeSlot));
+        if (!slot) {
+          return;
+        }
+
+        Object.assign(entry, {
+          status: 'offered',
+          heldSlot: slot.id,
+          offeredAt: now.toISOString(),
+          holdExpiresAt: expiresAt,
+          updatedAt: now.toISOString()
+        });
+        made.push({ ...entry, heldSlotLabel: slot.label });
+      });
+
+      return made;
+    });
+  });
+
+  for (const entry of offered) {
+    try {
+      await getMailer().send({
+        to: entry.customerEmail,
+        subject: `A place opened up on ${entry.eventDate}`,
+        text: [
+          `Hi ${entry.customerName || 'there'},`,
+          '',
+          `A place has opened up for your ${entry.eventType} on ${entry.eventDate} (${entry.heldSlotLabel}).`,
+          `We are holding it for you until ${new Date(entry.holdExpiresAt).toLocaleString()}.`,
+          'Book it from your profile page before then, or it goes to the next customer on the waitlist.',
+          '',
+          "d'sis Catering"
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error(`Waitlist offer mail for entry ${entry.id} failed:`, error);
+    }
+  }
+  return offered;
+}
+
+// End holds that have run out and entries whose date has passed, then
+// offer the places freed. Resolves to the number of entries ended.
+async function expireWaitlist(db, now = new Date()) {
+  const today = localDate(now);
+
+  const { ended, freedDates } = await db.waitlist.mutate(records => {
+    const over = records.filter(entry => isActive(entry) &&
+      ((entry.status === 'offered' && new Date(entry.holdExpiresAt) <= now) || entry.eventDate < today));
+    const dates = new Set(over.filter(entry => entry.status === 'offered').map(entry => entry.eventDate));
+
+    over.forEach(entry => Object.assign(entry, { status: 'expired', updatedAt: now.toISOString() }));
+    return { ended: over.length, freedDates: [...dates] };
+  });
+
+  for (const date of freedDates.filter(date => date >= today)) {
+    await offerFreedPlaces(db, date, now);
+  }
+  return ended;
+}
+
+// The customer booked the date: their entries for it are done
+async function markBooked(db, booking) {
+  return db.waitlist.mutate(records => {
+    const updatedAt = new Date().toISOString();
+    records
+      .filter(entry => isActive(entry) && entry.userId === booking.userId && entry.eventDate === booking.eventDate)
+      .forEach(entry => Object.assign(entry, { status: 'booked', bookingId: booking.bookingId, updatedAt }));
+  });
+}
+
+// The customer gives up their entry (and hold). Resolves to the entry, or
+// null when it isn't theirs or no longer active.
+async function leaveWaitlist(db, id, user) {
+  const entry = await db.waitlist.findById(id);
+  if (!entry || entry.userId !== user.id || !isActive(entry)) {
+    return null;
+  }
+
+  const left = await db.waitlist.update(entry.id, current => ({
+    ...current,
+    status: 'left',
+    updatedAt: new Date().toISOString()
+  }));
+  if (entry.status === 'offered') {
+    await offerFreedPlaces(db, entry.eventDate);
+  }
+  return left;
+}
+
+// Waitlist demand per date from today on, to help decide on taking on
+// extra capacity: how many entries wait or hold a place, for how many
+// guests, in which slots and for which events, next to the day's bookings.
+async function waitlistDemand(db, now = new Date()) {
+  const today = localDate(now);
+  const rules = await getRules(db);
+  const entries = await db.waitlist.filter(entry => isActive(entry) && entry.eventDate >= today);
+  const dates = [...new Set(entries.map(entry => entry.eventDate))].sort();
+  const bookings = await db.bookings.filter(booking => dates.includes(booking.eventDate) && holdsDate(booking));
+
+  return dates.map(date => {
+    const onDate = entries.filter(entry => entry.eventDate === date);
+    const booked = bookings.filter(booking => booking.eventDate === date);
+    const day = dayAvailability(rules, date, [...booked, ...holdPlaces(onDate, now)], { now });
+    const bookedGuests = booked.reduce((sum, booking) => sum + (parseInt(booking.numGuests) || 0), 0);
+    const count = key => onDate.reduce((counts, entry) => {
+      const value = entry[key] || 'any';
+      counts[value] = (counts[value] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      date,
+      waiting: onDate.filter(entry => entry.status === 'waiting').length,
+      offered: onDate.filter(entry => entry.status === 'offered').length,
+      guests: onDate.reduce((sum, entry) => sum + (parseInt(entry.numGuests) || 0), 0),
+      bySlot: count('timeSlot'),
+      byEventType: count('eventType'),
+      bookedEvents: booked.length,
+      bookedGuests,
+      remainingGuests: day.remainingGuests,
+      available: day.available
+    };
+  });
+}
+
+// Check for run out holds every few minutes
+function scheduleWaitlistExpiry(db, minutes = numberSetting('WAITLIST_CHECK_MINUTES', 15)) {
+  if (minutes <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    expireWaitlist(db)
+      .then(ended => ended && console.log(`⏳ Waitlist: ${ended} entries ended`))
+      .catch(error => console.error('Waitlist expiry failed:', error));
+  }, minutes * 60000);
+
+  timer.unref();
+  return timer;
+}
+
+// A cancelled booking frees its place for the waitlist
+onStatusChange(async ({ db, booking, to }) => {
+  if (to === 'cancelled') {
+    await offerFreedPlaces(db, booking.eventDate);
+  }
+});
+
+module.exports = {
+  ACTIVE_STATUSES,
+  isActive,
+  positionOf,
+  offerFreedPlaces,
+  expireWaitlist,
+  markBooked,
+  leaveWaitlist,
+  waitlistDemand,
+  scheduleWaitlistExpiry
+};
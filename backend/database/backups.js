@@ -0,0 +1,212 @@
+// Snapshots of all business data.
+//
+// A snapshot is a gzipped JSON document with every collection of the store,
+// written to BACKUP_DIR (default backend/backups) as
+// dsis-<timestamp>-<reason>.json.gz. Snapshots are taken on a schedule
+// (BACKUP_INTERVAL_MINUTES, default 1440, 0 turns it off) and before
+// destructive admin actions. After each snapshot old ones are pruned: the
+// newest BACKUP_KEEP_LAST (default 20) are kept, plus the newest snapshot of
+// each day for BACKUP_KEEP_DAYS (default 30) days.
+//
+// Snapshots are read through the store, so they work with either driver and
+// can be restored into either one. Login state (sessions, one-time tokens,
+// failed login attempts) is left out: a restore must not bring back a
+// revoked session, a used reset link or a cleared lockout.
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { COLLECTIONS } = require('./transfer');
+const { getSchemaVersion, loadMigrations, runMigrations } = require('./migrate');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '../backups');
+const AUTH_STATE = ['sessions', 'oneTimeTokens', 'loginAttempts'];
+const SNAPSHOT_PATTERN = /^dsis-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z0-9-]+)\.json\.gz$/;
+
+function numberSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// 2026-10-19T08-30-00-000Z -> 2026-10-19T08:30:00.000Z
+function timestampToISO(timestamp) {
+  return timestamp.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+}
+
+function snapshotPath(name, dir = BACKUP_DIR) {
+  if (!SNAPSHOT_PATTERN.test(name)) {
+    const error = new Error('Invalid snapshot name');
+    error.status = 400;
+    throw error;
+  }
+  return path.join(dir, name);
+}
+
+// Write a snapshot of every collection; resolves to its list entry
+async function createSnapshot(db, reason = 'manual', dir = BACKUP_DIR) {
+  const createdAt = new Date().toISOString();
+  const collections = {};
+
+  for (const collection of COLLECTIONS.filter(name => !AUTH_STATE.includes(name))) {
+    if (await db.store.exists(collection)) {
+      collections[collection] = await db.store.read(collection);
+    }
+  }
+
+  const snapshot = {
+    createdAt,
+    reason,
+    driver: db.store.driver,
+    schemaVersion: await getSchemaVersion(db),
+    collections
+  };
+
+  const safeReason = String(reason).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'manual';
+  const name = `dsis-${createdAt.replace(/[:.]/g, '-')}-${safeReason}.json.gz`;
+
+  await fs.mkdir(dir, { recursive: true });
+  const temp = path.join(dir, `${name}.tmp`);
+  await fs.writeFile(temp, await gzip(JSON.stringify(snapshot)));
+  await fs.rename(temp, path.join(dir, name));
+
+  await pruneSnapshots(dir);
+
+  const stats = await fs.stat(path.join(dir, name));
+  return { name, createdAt, reason: safeReason, size: stats.size };
+}
+
+// Snapshots in dir, newest first
+async function listSnapshots(dir = BACKUP_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const snapshots = [];
+  for (const name of files) {
+    const match = SNAPSHOT_PATTERN.exec(name);
+    if (match) {
+      const stats = await fs.stat(path.join(dir, name));
+      snapshots.push({ name, createdAt: timestampToISO(match[1]), reason: match[2], size: stats.size });
+    }
+  }
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function readSnapshot(name, dir = BACKUP_DIR) {
+  const compressed = await fs.readFile(snapshotPath(name, dir));
+  return JSON.parse((await gunzip(compressed)).toString('utf8'));
+}
+
+// Delete snapshots outside the retention rules; resolves to the deleted names
+async function pruneSnapshots(dir = BACKUP_DIR, {
+  keepLast = numberSetting('BACKUP_KEEP_LAST', 20),
+  keepDays = numberSetting('BACKUP_KEEP_DAYS', 30),
+  now = new Date()
+} = {}) {
+  const snapshots = await listSnapshots(dir);
+  const oldestDay = new Date(now.getTime() - keepDays * 86400000).toISOString().slice(0, 10);
+  const keptDays = new Set();
+  const deleted = [];
+
+  for (const [index, snapshot] of snapshots.entries()) {
+    const day = snapshot.createdAt.slice(0, 10);
+    const isDailyKeeper = day >= oldestDay && !keptDays.has(day);
+    keptDays.add(day);
+
+    if (index < keepLast || isDailyKeeper) {
+      continue;
+    }
+
+    await fs.unlink(path.join(dir, snapshot.name));
+    deleted.push(snapshot.name);
+  }
+
+  return deleted;
+}
+
+// Replace the data with a snapshot. The current data is snapshotted first,
+// counters never go back (so restored data can't reissue a reference number
+// that was already handed out), login state in older snapshots is skipped
+// (the live copy is kept) and older snapshots are migrated to the
+// current schema afterwards. Resolves to { collection: recordCount }.
+async function restoreSnapshot(db, name, dir = BACKUP_DIR) {
+  const snapshot = await readSnapshot(name, dir);
+  const latestVersion = loadMigrations().length;
+
+  if (!snapshot.collections || typeof snapshot.collections !== 'object') {
+    throw new Error(`Snapshot ${name} has no collections`);
+  }
+  if (snapshot.schemaVersion > latestVersion) {
+    throw new Error(`Snapshot ${name} has schema version ${snapshot.schemaVersion}, newer than this server supports (${latestVersion})`);
+  }
+
+  for (const collection of Object.keys(snapshot.collections)) {
+    const records = snapshot.collections[collection];
+    if (!COLLECTIONS.includes(collection) || !Array.isArray(records) || records.some(r => !Number.isInteger(r.id))) {
+      throw new Error(`Snapshot ${name} has an invalid ${collection} collection`);
+    }
+  }
+
+  await createSnapshot(db, 'before-restore', dir);
+
+  const restored = {};
+  for (const collection of Object.keys(snapshot.collections).filter(name => !AUTH_STATE.includes(name))) {
+    let records = snapshot.collections[collection];
+
+    await db.store.withLock(collection, async () => {
+      if (collection === 'sequences') {
+        const current = await db.store.read(collection);
+        records = records.map(counter => {
+          const latest = current.find(c => c.name === counter.name);
+          return latest && latest.value > counter.value ? latest : counter;
+        });
+        current.filter(c => !records.some(r => r.name === c.name)).forEach(c => records.push(c));
+      }
+      await db.store.write(collection, records);
+    });
+
+    restored[collection] = records.length;
+  }
+
+  await runMigrations(db);
+  return restored;
+}
+
+// Take a snapshot every BACKUP_INTERVAL_MINUTES; returns the timer (or null)
+function scheduleBackups(db, minutes = numberSetting('BACKUP_INTERVAL_MINUTES', 1440)) {
+  if (minutes <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    createSnapshot(db, 'scheduled')
+      .then(snapshot => console.log(`💾 Backup written: ${snapshot.name}`))
+      .catch(error => console.error('Scheduled backup failed:', error));
+  }, minutes * 60000);
+
+  // Don't keep the process alive just for backups
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  readSnapshot,
+  pruneSnapshots,
+  restoreSnapshot,
+  scheduleBackups,
+  snapshotPath,
+  BACKUP_DIR
+};
@@ -0,0 +1,216 @@
+// Storage layer entry point.
+// Route modules call getDatabase() and use the repositories on it,
+// never the data files directly.
+//
+// DB_DRIVER selects the storage driver: 'json' (default, backend/data/*.json)
+// or 'sqlite' (SQLITE_FILE, default backend/data/dsis.sqlite).
+//
+// On startup pending schema migrations (database/migrations) bring every
+// record to the current canonical shape; see migrate.js.
+
+const { createJsonStore } = require('./json-store');
+const { copyCollections } = require('./transfer');
+const { SequenceService } = require('./sequences');
+const { runMigrations } = require('./migrate');
+const { hashPassword } = require('../middleware/auth');
+const {
+  Repository, UserRepository, BookingRepository, ReceiptRepository, CreditNoteRepository, PaymentRepository, PromoCodeRepository,
+  OneTimeTokenRepository, SessionRepository, SettingsRepository
+} = require('./repository');
+require('dotenv').config();
+
+let database = null;
+
+function createDatabase(store) {
+  const sequences = new SequenceService(store);
+  return {
+    store,
+    sequences,
+    users: new UserRepository(store, 'users', sequences),
+    menu: new Repository(store, 'menu', sequences),
+    bookings: new BookingRepository(store, 'bookings', sequences),
+    receipts: new ReceiptRepository(store, 'receipts', sequences),
+    messages: new Repository(store, 'messages', sequences),
+    offers: new Repository(store, 'offers', sequences),
+    promoCodes: new PromoCodeRepository(store, 'promoCodes', sequences),
+    migrations: new Repository(store, 'migrations', sequences),
+    oneTimeTokens: new OneTimeTokenRepository(store, 'oneTimeTokens', sequences),
+    loginAttempts: new Repository(store, 'loginAttempts', sequences),
+    settings: new SettingsRepository(store, 'settings', sequences),
+    sessions: new SessionRepository(store, 'sessions', sequences),
+    waitlist: new Repository(store, 'waitlist', sequences),
+    payments: new PaymentRepository(store, 'payments', sequences),
+    paymentIntents: new Repository(store, 'paymentIntents', sequences),
+    creditNotes: new CreditNoteRepository(store, 'creditNotes', sequences)
+  };
+}
+
+function createStore(driver = process.env.DB_DRIVER || 'json') {
+  switch (driver) {
+    case 'json':
+      return createJsonStore();
+    case 'sqlite': {
+      const { createSqliteStore } = require('./sqlite-store');
+      return createSqliteStore();
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (expected "json" or "sqlite")`);
+  }
+}
+
+function getDatabase() {
+  if (!database) {
+    database = createDatabase(createStore());
+  }
+  return database;
+}
+
+// Use a different store (e.g. another data directory)
+function setDatabase(store) {
+  database = createDatabase(store);
+  return database;
+}
+
+// Initialize sample data if collections don't exist
+async function initializeDatabase() {
+  const db = getDatabase();
+
+  // Restore data files left damaged by a crash during a write
+  if (db.store.recover) {
+    const restored = await db.store.recover();
+    restored.forEach(collection => {
+      console.warn(`⚠️  ${collection} data was damaged and has been restored from its last good copy`);
+    });
+  }
+
+  // First start on SQLite: bring over the existing JSON data files
+  if (db.store.driver === 'sqlite') {
+    const imported = await copyCollections(createJsonStore(), db.store);
+    Object.keys(imported).forEach(collection => {
+      console.log(`📥 Imported ${imported[collection]} ${collection} records from JSON`);
+    });
+  }
+
+  if (!(await db.store.exists('users'))) {
+    await db.users.replaceAll([
+      {
+        id: 1,
+        username: 'admin',
+        email: 'admin@dsis.com',
+        password: await hashPassword('admin123'),
+        firstName: 'Admin',
+        lastName: 'User',
+        userType: 'admin'
+      },
+      {
+        id: 2,
+        username: 'customer',
+        email: 'customer@test.com',
+        password: await hashPassword('customer123'),
+        firstName: 'John',
+        lastName: 'Doe',
+        userType: 'customer'
+      }
+    ]);
+  }
+
+  if (!(await db.store.exists('menu'))) {
+    await db.menu.replaceAll([
+      {
+        id: 1,
+        itemName: 'Lechon',
+        description: 'Traditional Filipino roasted pig',
+        category: 'Main Course',
+        pricePerServing: 500,
+        imageUrl: '/img/lechon.jpg',
+        isAvailable: true
+      },
+      {
+        id: 2,
+        itemName: 'Chicken Cordon Bleu',
+        description: 'Breaded chicken with ham and cheese',
+        category: 'Main Course',
+        pricePerServing: 350,
+        imageUrl: '/img/cordonblue.jpg',
+        isAvailable: true
+      },
+      {
+        id: 3,
+        itemName: 'Lasagna',
+        description: 'Layered pasta with meat and cheese',
+        category: 'Main Course',
+        pricePerServing: 300,
+        imageUrl: '/img/lasagna.jpg',
+        isAvailable: true
+      },
+      {
+        id: 4,
+        itemName: 'Shanghai Rolls',
+        description: 'Crispy spring rolls with meat filling',
+        category: 'Appetizer',
+        pricePerServing: 200,
+        imageUrl: '/img/shanghai.jpg',
+        isAvailable: true
+      },
+      {
+        id: 5,
+        itemName: 'Fruit Salad',
+        description: 'Fresh mixed fruits with cream',
+        category: 'Dessert',
+        pricePerServing: 150,
+        imageUrl: '/img/fruitsalad.jpg',
+        isAvailable: true
+      },
+      {
+        id: 6,
+        itemName: 'Rice',
+        description: 'Steamed white rice',
+        category: 'Side Dish',
+        pricePerServing: 50,
+        imageUrl: '/img/rice.jpg',
+        isAvailable: true
+      },
+      {
+        id: 7,
+        itemName: 'Soft Drinks',
+        description: 'Assorted soft drinks',
+        category: 'Beverage',
+        pricePerServing: 30,
+        imageUrl: '/img/drinks.png',
+        isAvailable: true
+      },
+      {
+        id: 8,
+        itemName: 'Cucumber Juice',
+        description: 'Fresh cucumber juice',
+        category: 'Beverage',
+        pricePerServing: 80,
+        imageUrl: '/img/cucumberjuice.jpg',
+        isAvailable: true
+      }
+    ]);
+  }
+
+  // Initialize empty stores
+  for (const collection of ['bookings', 'receipts', 'messages', 'offers', 'promoCodes']) {
+    if (!(await db.store.exists(collection))) {
+      await db[collection].replaceAll([]);
+    }
+  }
+
+  // Bring every record to the current schema (throws if the data is newer)
+  const applied = await runMigrations(db);
+  applied.forEach(migration => {
+    console.log(`🔧 Applied migration ${migration.version} (${migration.name})`);
+  });
+
+  return db;
+}
+
+module.exports = {
+  createStore,
+  getDatabase,
+  setDatabase,
+  createDatabase,
+  initializeDatabase
+};
@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createLocks } = require('./lock');
+
+// Default location of the JSON data files
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Collection name -> file name
+const COLLECTION_FILES = {
+  users: 'users.json',
+  menu: 'menu.json',
+  bookings: 'bookings.json',
+  receipts: 'receipts.json',
+  messages: 'messages.json',
+  offers: 'offers.json',
+  promoCodes: 'promo-codes.json',
+  sequences: 'sequences.json',
+  migrations: 'migrations.json',
+  oneTimeTokens: 'one-time-tokens.json',
+  loginAttempts: 'login-attempts.json',
+  settings: 'settings.json',
+  sessions: 'sessions.json',
+  waitlist: 'waitlist.json',
+  payments: 'payments.json',
+  paymentIntents: 'payment-intents.json',
+  creditNotes: 'credit-notes.json'
+};
+
+// JSON file storage driver: every collection is an array in its own file.
+// Every driver exposes the same operations (see sqlite-store.js).
+function createJsonStore(dataDir = DATA_DIR) {
+  const withLock = createLocks();
+
+  function filePath(collection) {
+    const fileName = COLLECTION_FILES[collection] || `${collection}.json`;
+    return path.join(dataDir, fileName);
+  }
+
+  // Last good copy of a data file, refreshed before every write
+  function backupPath(collection) {
+    return `${filePath(collection)}.bak`;
+  }
+
+  async function exists(collection) {
+    try {
+      await fs.access(filePath(collection));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Read all records of a collection (missing file = empty collection)
+  async function read(collection) {
+    try {
+      const data = await fs.readFile(filePath(collection), 'utf8');
+      return data.trim() ? JSON.parse(data) : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      console.error(`Error reading ${collection} data:`, error);
+      throw error;
+    }
+  }
+
+  // Replace all records of a collection. The new content goes to a temp file
+  // that is flushed to disk and then renamed over the data file, so a crash
+  // leaves either the old or the new file, never a truncated one.
+  async function write(collection, records) {
+    await fs.mkdir(dataDir, { recursive: true });
+
+    const target = filePath(collection);
+    const tempFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+    const handle = await fs.open(tempFile, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(records, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    try {
+      await fs.copyFile(target, backupPath(collection));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        await fs.unlink(tempFile).catch(() => {});
+        throw error;
+      }
+    }
+
+    await fs.rename(tempFile, target);
+  }
+
+  // A JSON file can only be rewritten as a whole
+  async function writeChanges(collection, records) {
+    await write(collection, records);
+  }
+
+  async function findBy(collection, field, value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    const records = await read(collection);
+    return records.filter(record => record[field] === value);
+  }
+
+  // Single-record operations. A JSON file can only be rewritten as a whole,
+  // so these are read + write of the full collection.
+  async function get(collection, id) {
+    const records = await read(collection);
+    return records.find(record => record.id === id) || null;
+  }
+
+  async function maxId(collection) {
+    const records = await read(collection);
+    return records.reduce((max, record) => Math.max(max, record.id || 0), 0);
+  }
+
+  async function insert(collection, record) {
+    const records = await read(collection);
+    records.push(record);
+    await write(collection, records);
+    return record;
+  }
+
+  async function put(collection, record) {
+    const records = await read(collection);
+    const index = records.findIndex(existing => existing.id === record.id);
+    if (index === -1) {
+      records.push(record);
+    } else {
+      records[index] = record;
+    }
+    await write(collection, records);
+    return record;
+  }
+
+  // Resolves to true when a record was deleted
+  async function remove(collection, id) {
+    const records = await read(collection);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+      return false;
+    }
+    records.splice(index, 1);
+    await write(collection, records);
+    return true;
+  }
+
+  // Startup check: remove leftover temp files and restore any data file that
+  // can't be parsed from its last good copy. The broken file is kept next to
+  // it as <file>.corrupt-<timestamp>. Resolves to the restored collections.
+  async function recover() {
+    const restored = [];
+
+    let entries = [];
+    try {
+      entries = await fs.readdir(dataDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return restored;
+      }
+      throw error;
+    }
+
+    for (const entry of entries.filter(name => name.endsWith('.tmp'))) {
+      await fs.unlink(path.join(dataDir, entry)).catch(() => {});
+    }
+
+    for (const collection of Object.keys(COLLECTION_FILES)) {
+      const target = filePath(collection);
+      if ((await checkFile(target)) !== 'damaged') {
+        continue;
+      }
+
+      if ((await checkFile(backupPath(collection))) !== 'ok') {
+        throw new Error(`${target} is damaged and there is no usable backup (${backupPath(collection)})`);
+      }
+
+      await fs.rename(target, `${target}.corrupt-${Date.now()}`);
+      await fs.copyFile(backupPath(collection), target);
+      restored.push(collection);
+    }
+
+    return restored;
+  }
+
+  return {
+    driver: 'json',
+    dataDir,
+    filePath,
+    withLock,
+    recover,
+    exists,
+    read,
+    write,
+    writeChanges,
+    findBy,
+    get,
+    maxId,
+    insert,
+    put,
+    remove
+  };
+}
+
+// 'ok', 'missing' or 'damaged' (empty or not valid JSON, e.g. cut off by a
+// crash in the middle of a write)
+async function checkFile(file) {
+  try {
+    JSON.parse(await fs.readFile(file, 'utf8'));
+    return 'ok';
+  } catch (error) {
+    return error.code === 'ENOENT' ? 'missing' : 'damaged';
+  }
+}
+
+module.exports = {
+  createJsonStore,
+  COLLECTION_FILES,
+  DATA_DIR
+};
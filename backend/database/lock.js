@@ -0,0 +1,26 @@
+// Per-key promise queue: functions passed to withLock() for the same key run
+// one after another, so a read-modify-write cycle can't interleave with
+// another one on the same collection.
+function createLocks() {
+  const queues = new Map();
+
+  return function withLock(key, fn) {
+    const previous = queues.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+
+    // The next caller waits for this one whether it succeeds or fails
+    const tail = run.catch(() => {});
+    queues.set(key, tail);
+    tail.then(() => {
+      if (queues.get(key) === tail) {
+        queues.delete(key);
+      }
+    });
+
+    return run;
+  };
+}
+
+module.exports = {
+  createLocks
+};
@@ -0,0 +1,92 @@
+// Schema migration runner.
+//
+// Migrations live in database/migrations as NNN-description.js and export
+// { version, name, up(db) }. Applied migrations are recorded in the
+// 'migrations' collection; the highest applied version is the schema
+// version of the data. On startup every pending migration runs in order,
+// and the server refuses to start on data migrated by newer code.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+-.+\.js$/.test(file))
+    .map(file => ({ file, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (migration.version !== index + 1 || typeof migration.up !== 'function') {
+      throw new Error(`Invalid migration ${migration.file}: expected version ${index + 1} with an up() function`);
+    }
+  });
+
+  return migrations;
+}
+
+async function getSchemaVersion(db) {
+  const applied = await db.migrations.all();
+  return applied.reduce((max, migration) => Math.max(max, migration.version), 0);
+}
+
+// Resolves to the list of migrations that were applied
+async function runMigrations(db, migrations = loadMigrations()) {
+  const currentVersion = await getSchemaVersion(db);
+  const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Data schema version ${currentVersion} is newer than this server supports (${latestVersion}). ` +
+      'Update the server code before starting it on this data.'
+    );
+  }
+
+  const applied = [];
+  for (const migration of migrations.filter(m => m.version > currentVersion)) {
+    await migration.up(db);
+    await db.migrations.create({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: new Date().toISOString()
+    });
+    applied.push(migration);
+  }
+
+  return applied;
+}
+
+// Move values from legacy field names to the canonical one and drop the
+// legacy names, e.g. renameFields(booking, { eventDate: ['event_date'] }).
+// An existing canonical value wins over the legacy ones.
+function renameFields(record, aliases) {
+  const result = { ...record };
+
+  Object.keys(aliases).forEach(canonical => {
+    aliases[canonical].forEach(alias => {
+      if ((result[canonical] === undefined || result[canonical] === null || result[canonical] === '') &&
+          result[alias] !== undefined && result[alias] !== null) {
+        result[canonical] = result[alias];
+      }
+      delete result[alias];
+    });
+  });
+
+  return result;
+}
+
+// Replace every record of a collection with normalize(record)
+async function normalizeCollection(repository, normalize) {
+  const records = await repository.all();
+  await repository.replaceAll(records.map(normalize));
+}
+
+module.exports = {
+  runMigrations,
+  loadMigrations,
+  getSchemaVersion,
+  renameFields,
+  normalizeCollection,
+  MIGRATIONS_DIR
+};
@@ -0,0 +1,85 @@
+// Bookings: camelCase fields, a BK- reference, a linked userId, one
+// bookingStatus field and items as { itemId, itemName, quantity, unitPrice, totalPrice }
+
+const { renameFields, normalizeCollection } = require('../migrate');
+
+const BOOKING_FIELDS = {
+  bookingId: ['booking_id', 'reference'],
+  userId: ['user_id'],
+  customerName: ['customer_name'],
+  customerEmail: ['customer_email'],
+  customerPhone: ['customer_phone'],
+  eventType: ['event_type'],
+  eventDate: ['event_date'],
+  timeSlot: ['time_slot'],
+  eventVenue: ['event_venue', 'venue'],
+  numGuests: ['num_guests', 'guests'],
+  specialInstructions: ['special_instructions'],
+  bookingStatus: ['booking_status', 'status'],
+  totalAmount: ['total_amount'],
+  items: ['selectedItems', 'menuItems'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+const ITEM_FIELDS = {
+  itemId: ['item_id', 'id'],
+  itemName: ['item_name', 'name'],
+  quantity: ['qty'],
+  unitPrice: ['unit_price', 'price', 'pricePerServing'],
+  totalPrice: ['total_price', 'total']
+};
+
+function normalizeItem(item) {
+  const normalized = renameFields(item, ITEM_FIELDS);
+  const quantity = Number(normalized.quantity) || 1;
+  const unitPrice = Number(normalized.unitPrice) || 0;
+
+  return {
+    itemId: normalized.itemId !== undefined ? Number(normalized.itemId) : null,
+    itemName: normalized.itemName || 'Menu Item',
+    quantity,
+    unitPrice,
+    totalPrice: normalized.totalPrice !== undefined ? Number(normalized.totalPrice) : quantity * unitPrice
+  };
+}
+
+function normalizeBooking(booking, users) {
+  const normalized = renameFields(booking, BOOKING_FIELDS);
+  const items = (Array.isArray(normalized.items) ? normalized.items : []).map(normalizeItem);
+  const email = (normalized.customerEmail || '').toLowerCase();
+  const user = users.find(u => u.id === normalized.userId) ||
+    users.find(u => (u.email || '').toLowerCase() === email);
+
+  return {
+    ...normalized,
+    bookingId: String(normalized.bookingId || `BK-${normalized.id}`),
+    userId: user ? user.id : null,
+    customerName: normalized.customerName || (user ? `${user.firstName} ${user.lastName}` : ''),
+    customerEmail: normalized.customerEmail || (user ? user.email : ''),
+    customerPhone: normalized.customerPhone || '',
+    eventType: normalized.eventType || '',
+    eventDate: normalized.eventDate || '',
+    timeSlot: normalized.timeSlot || '',
+    eventVenue: normalized.eventVenue || '',
+    numGuests: parseInt(normalized.numGuests) || 0,
+    specialInstructions: normalized.specialInstructions || '',
+    bookingStatus: normalized.bookingStatus || 'pending',
+    totalAmount: normalized.totalAmount !== undefined
+      ? Number(normalized.totalAmount)
+      : items.reduce((sum, item) => sum + item.totalPrice, 0),
+    items,
+    createdAt: normalized.createdAt || new Date().toISOString(),
+    updatedAt: normalized.updatedAt || normalized.createdAt || new Date().toISOString()
+  };
+}
+
+module.exports = {
+  version: 1,
+  name: 'normalize-bookings',
+  async up(db) {
+    const users = await db.users.all();
+    await normalizeCollection(db.bookings, booking => normalizeBooking(booking, users));
+  },
+  normalizeItem
+};
@@ -0,0 +1,68 @@
+// Receipts: camelCase fields, numeric amounts and bookingId as the BK-
+// reference of the booking (older receipts stored the numeric booking id)
+
+const { renameFields, normalizeCollection } = require('../migrate');
+const { normalizeItem } = require('./001-normalize-bookings');
+
+const RECEIPT_FIELDS = {
+  receiptId: ['receipt_id'],
+  receiptNumber: ['receipt_number'],
+  bookingId: ['booking_id'],
+  customerName: ['customer_name'],
+  customerEmail: ['customer_email'],
+  customerPhone: ['customer_phone'],
+  eventType: ['event_type'],
+  eventDate: ['event_date'],
+  timeSlot: ['time_slot'],
+  eventVenue: ['event_venue', 'venue'],
+  numGuests: ['num_guests'],
+  taxRate: ['tax_rate'],
+  taxAmount: ['tax_amount'],
+  totalAmount: ['total_amount'],
+  paymentMethod: ['payment_method'],
+  paymentStatus: ['payment_status'],
+  issuedDate: ['issued_date'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+function normalizeReceipt(receipt, bookings) {
+  const normalized = renameFields(receipt, RECEIPT_FIELDS);
+  const booking = typeof normalized.bookingId === 'number'
+    ? bookings.find(b => b.id === normalized.bookingId)
+    : bookings.find(b => b.bookingId === normalized.bookingId);
+  const items = (Array.isArray(normalized.items) ? normalized.items : booking ? booking.items : []).map(normalizeItem);
+  const subtotal = normalized.subtotal !== undefined
+    ? Number(normalized.subtotal)
+    : items.reduce((sum, item) => sum + item.totalPrice, 0);
+
+  return {
+    ...normalized,
+    bookingId: booking ? booking.bookingId : String(normalized.bookingId || ''),
+    customerName: normalized.customerName || (booking ? booking.customerName : ''),
+    customerEmail: normalized.customerEmail || (booking ? booking.customerEmail : ''),
+    customerPhone: normalized.customerPhone || (booking ? booking.customerPhone : ''),
+    eventType: normalized.eventType || (booking ? booking.eventType : ''),
+    eventDate: normalized.eventDate || (booking ? booking.eventDate : ''),
+    eventVenue: normalized.eventVenue || (booking ? booking.eventVenue : ''),
+    numGuests: parseInt(normalized.numGuests || (booking ? booking.numGuests : 0)) || 0,
+    items,
+    subtotal,
+    taxRate: normalized.taxRate !== undefined ? Number(normalized.taxRate) : 0.12,
+    taxAmount: Number(normalized.taxAmount) || 0,
+    totalAmount: normalized.totalAmount !== undefined ? Number(normalized.totalAmount) : subtotal,
+    paymentMethod: normalized.paymentMethod || 'Cash',
+    paymentStatus: normalized.paymentStatus || 'pending',
+    issuedDate: normalized.issuedDate || normalized.createdAt || new Date().toISOString(),
+    createdAt: normalized.createdAt || normalized.issuedDate || new Date().toISOString()
+  };
+}
+
+module.exports = {
+  version: 2,
+  name: 'normalize-receipts',
+  async up(db) {
+    const bookings = await db.bookings.all();
+    await normalizeCollection(db.receipts, receipt => normalizeReceipt(receipt, bookings));
+  }
+};
@@ -0,0 +1,65 @@
+// Users and messages: camelCase fields and defaults for fields that older
+// records never had
+
+const { renameFields, normalizeCollection } = require('../migrate');
+
+const USER_FIELDS = {
+  firstName: ['first_name'],
+  lastName: ['last_name'],
+  phoneNumber: ['phone_number', 'mobileNumber'],
+  userType: ['user_type', 'role'],
+  isActive: ['is_active'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+const MESSAGE_FIELDS = {
+  messageId: ['message_id'],
+  userEmail: ['user_email', 'email'],
+  userName: ['user_name', 'name'],
+  messageContent: ['message_content', 'message', 'content'],
+  messageStatus: ['message_status', 'status'],
+  adminResponse: ['admin_response', 'response'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+function normalizeUser(user) {
+  const normalized = renameFields(user, USER_FIELDS);
+
+  return {
+    ...normalized,
+    username: normalized.username || (normalized.email || '').split('@')[0],
+    firstName: normalized.firstName || '',
+    lastName: normalized.lastName || '',
+    phoneNumber: normalized.phoneNumber || '',
+    userType: normalized.userType || 'customer',
+    createdAt: normalized.createdAt || new Date().toISOString()
+  };
+}
+
+function normalizeMessage(message) {
+  const normalized = renameFields(message, MESSAGE_FIELDS);
+  const createdAt = normalized.createdAt || new Date().toISOString();
+
+  return {
+    ...normalized,
+    messageId: normalized.messageId || `MSG-${new Date(createdAt).getTime()}-${normalized.id}`,
+    userName: normalized.userName || (normalized.userEmail || '').split('@')[0],
+    subject: normalized.subject || '',
+    messageContent: normalized.messageContent || '',
+    messageStatus: normalized.messageStatus || 'unread',
+    adminResponse: normalized.adminResponse || null,
+    createdAt,
+    updatedAt: normalized.updatedAt || createdAt
+  };
+}
+
+module.exports = {
+  version: 3,
+  name: 'normalize-users-and-messages',
+  async up(db) {
+    await normalizeCollection(db.users, normalizeUser);
+    await normalizeCollection(db.messages, normalizeMessage);
+  }
+};
@@ -0,0 +1,94 @@
+// Menu items, offers and promo codes: camelCase fields, numeric prices and
+// boolean flags
+
+const { renameFields, normalizeCollection } = require('../migrate');
+
+const MENU_FIELDS = {
+  itemName: ['item_name', 'name'],
+  pricePerServing: ['price_per_serving', 'price'],
+  imageUrl: ['image_url'],
+  isAvailable: ['is_available', 'available'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+const OFFER_FIELDS = {
+  imageUrl: ['image_url'],
+  imageData: ['image_data'],
+  imageFileName: ['image_file_name'],
+  startAt: ['start_at'],
+  endAt: ['end_at'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+const PROMO_CODE_FIELDS = {
+  discountPercent: ['discount_percent', 'discount'],
+  usageLimit: ['usage_limit'],
+  usageCount: ['usage_count'],
+  startAt: ['start_at'],
+  endAt: ['end_at'],
+  createdAt: ['created_at'],
+  updatedAt: ['updated_at']
+};
+
+function toBoolean(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return value === true || value === 'true' || value === 1;
+}
+
+function normalizeMenuItem(item) {
+  const normalized = renameFields(item, MENU_FIELDS);
+
+  return {
+    ...normalized,
+    description: normalized.description || '',
+    category: normalized.category || 'Uncategorized',
+    pricePerServing: Number(normalized.pricePerServing) || 0,
+    imageUrl: normalized.imageUrl || '',
+    isAvailable: toBoolean(normalized.isAvailable, true)
+  };
+}
+
+function normalizeOffer(offer) {
+  const normalized = renameFields(offer, OFFER_FIELDS);
+
+  return {
+    ...normalized,
+    title: normalized.title || '',
+    description: normalized.description || '',
+    benefits: normalized.benefits || '',
+    imageUrl: normalized.imageUrl || '',
+    imageData: normalized.imageData || '',
+    imageFileName: normalized.imageFileName || '',
+    startAt: normalized.startAt || normalized.createdAt || new Date().toISOString(),
+    endAt: normalized.endAt || null,
+    active: toBoolean(normalized.active, true)
+  };
+}
+
+function normalizePromoCode(promo) {
+  const normalized = renameFields(promo, PROMO_CODE_FIELDS);
+
+  return {
+    ...normalized,
+    code: String(normalized.code || '').toUpperCase(),
+    discountPercent: Number(normalized.discountPercent) || 0,
+    description: normalized.description || '',
+    usageLimit: normalized.usageLimit ? Number(normalized.usageLimit) : null,
+    usageCount: Number(normalized.usageCount) || 0,
+    startAt: normalized.startAt || normalized.createdAt || new Date().toISOString(),
+    endAt: normalized.endAt || null,
+    active: toBoolean(normalized.active, true)
+  };
+}
+
+module.exports = {
+  version: 4,
+  name: 'normalize-menu-offers-promo-codes',
+  async up(db) {
+    await normalizeCollection(db.menu, normalizeMenuItem);
+    await normalizeCollection(db.offers, normalizeOffer);
+    await normalizeCollection(db.promoCodes, normalizePromoCode);
+  }
+};
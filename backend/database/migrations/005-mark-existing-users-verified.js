@@ -0,0 +1,15 @@
+// Email verification: accounts created before it existed count as verified,
+// new accounts start with emailVerified: false
+
+const { normalizeCollection } = require('../migrate');
+
+module.exports = {
+  version: 5,
+  name: 'mark-existing-users-verified',
+  async up(db) {
+    await normalizeCollection(db.users, user => ({
+      ...user,
+      emailVerified: user.emailVerified !== undefined ? user.emailVerified : true
+    }));
+  }
+};
@@ -0,0 +1,43 @@
+// Payments: bookings are paid through payment records now. A receipt
+// marked paid before then becomes one cleared payment of the receipt's
+// total, so its booking doesn't show as unpaid.
+
+const METHODS = {
+  cash: 'cash',
+  gcash: 'gcash',
+  card: 'card',
+  'bank transfer': 'bank_transfer',
+  check: 'check',
+  cheque: 'check'
+};
+
+module.exports = {
+  version: 6,
+  name: 'payments-from-paid-receipts',
+  async up(db) {
+    const receipts = await db.receipts.filter(receipt => receipt.paymentStatus === 'paid');
+    const payments = await db.payments.all();
+
+    for (const receipt of receipts) {
+      if (!(Number(receipt.totalAmount) > 0) || payments.some(payment => payment.bookingId === receipt.bookingId)) {
+        continue;
+      }
+
+      const at = receipt.updatedAt || receipt.createdAt || new Date().toISOString();
+      const payment = await db.payments.create({
+        bookingId: receipt.bookingId,
+        amount: Number(receipt.totalAmount),
+        method: METHODS[String(receipt.paymentMethod || '').trim().toLowerCase()] || 'other',
+        reference: receipt.receiptNumber || '',
+        status: 'cleared',
+        note: 'Recorded from the paid receipt',
+        receivedAt: at,
+        recordedBy: null,
+        clearedAt: at,
+        createdAt: at,
+        updatedAt: at
+      });
+      payments.push(payment);
+    }
+  }
+};
@@ -0,0 +1,518 @@
+// Generic repository over one collection of a storage driver.
+// All methods are async so routes work the same with any driver.
+// Writes run under the store's per-collection lock, so overlapping requests
+// can't lose each other's changes.
+const crypto = require('crypto');
+const { highestNumber } = require('./sequences');
+
+class Repository {
+  constructor(store, collection, sequences) {
+    this.store = store;
+    this.collection = collection;
+    this.sequences = sequences;
+  }
+
+  async all() {
+    return this.store.read(this.collection);
+  }
+
+  async findById(id) {
+    const recordId = parseInt(id);
+    if (Number.isNaN(recordId)) {
+      return null;
+    }
+    return this.store.get(this.collection, recordId);
+  }
+
+  async findOne(predicate) {
+    const records = await this.all();
+    return records.find(predicate) || null;
+  }
+
+  async filter(predicate) {
+    const records = await this.all();
+    return records.filter(predicate);
+  }
+
+  // Records whose field equals value, through the store's index where it
+  // has one (see INDEXED_FIELDS in sqlite-store.js)
+  async findBy(field, value) {
+    return this.store.findBy(this.collection, field, value);
+  }
+
+  async count(predicate = () => true) {
+    const records = await this.filter(predicate);
+    return records.length;
+  }
+
+  // Read-modify-write cycle: fn receives the records array, may change it in
+  // place and its return value is passed back to the caller. Only records
+  // fn added, changed or removed are written back.
+  async mutate(fn) {
+    return this.locked(async () => {
+      const records = await this.all();
+      const before = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+      const result = await fn(records);
+
+      const changed = records.filter(record => before.get(record.id) !== JSON.stringify(record));
+      const kept = new Set(records.map(record => record.id));
+      const removed = [...before.keys()].filter(id => !kept.has(id));
+      if (changed.length > 0 || removed.length > 0) {
+        await this.store.writeChanges(this.collection, records, { changed, removed });
+      }
+      return result;
+    });
+  }
+
+  async create(data) {
+    return this.locked(async () => {
+      const id = await this.nextId();
+      return this.store.insert(this.collection, { id, ...data });
+    });
+  }
+
+  // changes can be an object (shallow merge) or a function returning the
+  // updated record. Resolves to null when the record does not exist.
+  async update(id, changes) {
+    return this.locked(async () => {
+      const current = await this.findById(id);
+      if (!current) {
+        return null;
+      }
+
+      const updated = typeof changes === 'function'
+        ? changes({ ...current })
+        : { ...current, ...changes };
+
+      return this.store.put(this.collection, { ...updated, id: current.id }); // Ensure ID doesn't change
+    });
+  }
+
+  // Resolves to the removed record, or null when it does not exist
+  async remove(id) {
+    return this.locked(async () => {
+      const current = await this.findById(id);
+      if (!current) {
+        return null;
+      }
+
+      await this.store.remove(this.collection, current.id);
+      return current;
+    });
+  }
+
+  async replaceAll(records) {
+    await this.locked(() => this.store.write(this.collection, records));
+    return records;
+  }
+
+  // Ids come from the collection's sequence, so ids of deleted records are
+  // never reused
+  async nextId() {
+    const maxId = await this.store.maxId(this.collection);
+    if (!this.sequences) {
+      return maxId + 1;
+    }
+    return this.sequences.next(this.collection, maxId);
+  }
+
+  locked(fn) {
+    return this.store.withLock(this.collection, fn);
+  }
+
+  // Filtered, sorted page of records in the { items, pagination } shape the
+  // admin pages expect
+  async paginate({ where = () => true, sort, page = 1, limit = 10 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+
+    const records = await this.filter(where);
+    if (sort) {
+      records.sort(sort);
+    }
+
+    const offset = (pageNumber - 1) * pageSize;
+    return {
+      items: records.slice(offset, offset + pageSize),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: records.length,
+        pages: Math.ceil(records.length / pageSize)
+      }
+    };
+  }
+}
+
+class UserRepository extends Repository {
+  async findByEmail(email) {
+    if (!email) {
+      return null;
+    }
+    const [user] = await this.findBy('email', email);
+    return user || null;
+  }
+
+  // Never send password hashes or two-factor secrets to the client
+  withoutPassword(user) {
+    if (!user) {
+      return null;
+    }
+    const { password, twoFactor, ...userWithoutPassword } = user;
+    return { ...userWithoutPassword, twoFactorEnabled: !!(twoFactor && twoFactor.enabled) };
+  }
+}
+
+class BookingRepository extends Repository {
+  // Bookings are linked to a customer by userId (token-based clients) or by
+  // customerEmail (bookings made through the simple booking form)
+  belongsTo(booking, user) {
+    if (!booking || !user) {
+      return false;
+    }
+    return booking.userId === user.id ||
+      (!!booking.customerEmail && booking.customerEmail === user.email);
+  }
+
+  async forUser(user) {
+    return this.filter(booking => this.belongsTo(booking, user));
+  }
+
+  // Public booking reference, e.g. BK-2026-000123
+  async nextReference() {
+    const bookings = await this.all();
+    const floor = highestNumber(bookings.map(b => b.bookingId), /^BK-\d{4}-(\d+)$/);
+    return this.sequences.nextBookingReference(floor);
+  }
+
+  // Accepts the numeric id or the public BK-... reference
+  async findByReference(reference) {
+    const byId = await this.findById(reference);
+    if (byId) {
+      return byId;
+    }
+    const [booking] = await this.findBy('bookingId', reference);
+    return booking || null;
+  }
+}
+
+class ReceiptRepository extends Repository {
+  // Receipt number, e.g. R000123
+  async nextReceiptNumber() {
+    const receipts = await this.all();
+    const floor = highestNumber(receipts.map(r => r.receiptNumber), /^R(\d+)$/);
+    return this.sequences.nextReceiptNumber(floor);
+  }
+}
+
+// Credit notes against receipts (see payments/credit-notes.js), linked by
+// the receipt number
+class CreditNoteRepository extends Repository {
+  // Credit note number, e.g. CN000123
+  async nextCreditNoteNumber() {
+    const notes = await this.all();
+    const floor = highestNumber(notes.map(note => note.creditNoteNumber), /^CN(\d+)$/);
+    return this.sequences.nextCreditNoteNumber(floor);
+  }
+
+  async forReceipt(receipt) {
+    return this.filter(note => note.receiptNumber === receipt.receiptNumber);
+  }
+}
+
+// Payments towards bookings (see payments/ledger.js), linked by the
+// booking reference like receipts
+class PaymentRepository extends Repository {
+  async forBooking(booking) {
+    return this.findBy('bookingId', booking.bookingId);
+  }
+
+  // Add a payment. Runs under the lock so two payments can't both use up
+  // the balance or the same reference. check(records) returns why the
+  // payment can't be taken, or null. Resolves to { payment } or { problem }.
+  async record(data, check) {
+    return this.mutate(async records => {
+      const problem = check(records);
+      if (problem) {
+        return { problem };
+      }
+
+      const payment = { id: await this.nextId(), ...data };
+      records.push(payment);
+      return { payment: { ...payment } };
+    });
+  }
+}
+
+// Promo codes. Every redemption is recorded on the code
+// (redemptions: [{ bookingId, userId, redeemedAt, releasedAt }]) and
+// counted in usageCount, which the usage limit is checked against.
+class PromoCodeRepository extends Repository {
+  async findByCode(code) {
+    const wanted = String(code || '').trim().toUpperCase();
+    return this.findOne(promoCode => String(promoCode.code).toUpperCase() === wanted);
+  }
+
+  // Claim one use of the code for a booking. Runs under the lock so two
+  // bookings can't both take the last use (or a customer go over their
+  // limit). check(promoCode) returns why the code can't be used (promoCode
+  // is null when there is no such code), or null. Resolves to { promoCode }
+  // or { problem }.
+  async redeem(code, { bookingId, userId }, check) {
+    const wanted = String(code || '').trim().toUpperCase();
+
+    return this.mutate(records => {
+      const promoCode = records.find(record => String(record.code).toUpperCase() === wanted) || null;
+      const problem = check(promoCode);
+      if (problem) {
+        return { problem };
+      }
+
+      promoCode.usageCount = (promoCode.usageCount || 0) + 1;
+      promoCode.redemptions = [
+        ...(promoCode.redemptions || []),
+        { bookingId, userId, redeemedAt: new Date().toISOString(), releasedAt: null }
+      ];
+      return { promoCode: { ...promoCode } };
+    });
+  }
+
+  // Give back the use a booking claimed (the booking was cancelled).
+  // Resolves to true when there was one to give back.
+  async release(code, bookingId) {
+    const wanted = String(code || '').trim().toUpperCase();
+
+    return this.mutate(records => {
+      const promoCode = records.find(record => String(record.code).toUpperCase() === wanted);
+      const redemption = promoCode && (promoCode.redemptions || [])
+        .find(r => r.bookingId === bookingId && !r.releasedAt);
+      if (!redemption) {
+        return false;
+      }
+
+      redemption.releasedAt = new Date().toISOString();
+      promoCode.usageCount = Math.max(0, (promoCode.usageCount || 0) - 1);
+      return true;
+    });
+  }
+
+  // Give back the use of the code a booking redeemed, if any
+  async releaseFor(booking) {
+    if (!booking || !booking.promoCode) {
+      return false;
+    }
+    return this.release(booking.promoCode, booking.bookingId);
+  }
+}
+
+// Single-use tokens sent to users by mail (password reset, ...). Only a
+// SHA-256 hash of each token is stored, together with its purpose, owner
+// and expiry.
+class OneTimeTokenRepository extends Repository {
+  static hash(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  // Resolves to the new token (the only time it is available in clear)
+  async issue(userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    await this.mutate(async records => {
+      // Drop tokens that can't be used any more
+      const usable = records.filter(r => !r.usedAt && new Date(r.expiresAt) > now);
+      records.splice(0, records.length, ...usable);
+
+      records.push({
+        id: await this.nextId(),
+        userId,
+        purpose,
+        tokenHash: OneTimeTokenRepository.hash(token),
+        expiresAt: new Date(now.getTime() + ttlMinutes * 60000).toISOString(),
+        usedAt: null,
+        createdAt: now.toISOString()
+      });
+    });
+
+    return token;
+  }
+
+  // Marks the token used. Resolves to its record, or null when the token is
+  // unknown, already used or expired.
+  async consume(token, purpose) {
+    const tokenHash = OneTimeTokenRepository.hash(token);
+    const now = new Date();
+
+    return this.locked(async () => {
+      const record = (await this.findBy('tokenHash', tokenHash)).find(r => r.purpose === purpose);
+      if (!record || record.usedAt || new Date(record.expiresAt) <= now) {
+        return null;
+      }
+      return this.store.put(this.collection, { ...record, usedAt: now.toISOString() });
+    });
+  }
+
+  // Invalidate every outstanding token of a user for a purpose
+  async revokeAll(userId, purpose) {
+    const now = new Date().toISOString();
+    return this.mutate(records => {
+      let revoked = 0;
+      records.forEach(record => {
+        if (record.userId === userId && record.purpose === purpose && !record.usedAt) {
+          record.usedAt = now;
+          revoked += 1;
+        }
+      });
+      return revoked;
+    });
+  }
+}
+
+// Login sessions. Each holds the SHA-256 hash of its current refresh token,
+// which is replaced at every refresh (rotation). Presenting an already
+// replaced token means it was copied, so the session is revoked.
+class SessionRepository extends Repository {
+  static newToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  isActive(session, now = new Date()) {
+    return !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+  }
+
+  // Resolves to { session, refreshToken }
+  async start(userId, { userAgent = '', ip = '', ttlDays }) {
+    const refreshToken = SessionRepository.newToken();
+    const now = new Date();
+
+    const session = await this.mutate(async records => {
+      // Drop sessions that ended over a month ago
+      const cutoff = now.getTime() - 30 * 86400000;
+      const recent = records.filter(r => new Date(r.revokedAt || r.expiresAt).getTime() > cutoff);
+      records.splice(0, records.length, ...recent);
+
+      const record = {
+        id: await this.nextId(),
+        userId,
+        tokenHash: OneTimeTokenRepository.hash(refreshToken),
+        previousTokenHash: null,
+        userAgent,
+        ip,
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlDays * 86400000).toISOString(),
+        revokedAt: null
+      };
+      records.push(record);
+      return record;
+    });
+
+    return { session, refreshToken };
+  }
+
+  // Swap a refresh token for a new one. Resolves to { session, refreshToken },
+  // or null when the token is unknown, revoked, expired or was already used.
+  async rotate(refreshToken, { userAgent = '', ip = '' } = {}) {
+    const tokenHash = OneTimeTokenRepository.hash(refreshToken);
+    const newToken = SessionRepository.newToken();
+    const now = new Date();
+
+    return this.locked(async () => {
+      const [reused] = await this.findBy('previousTokenHash', tokenHash);
+      if (reused) {
+        await this.store.put(this.collection, {
+          ...reused,
+          revokedAt: reused.revokedAt || now.toISOString(),
+          revokedReason: reused.revokedReason || 'refresh token reused'
+        });
+        return null;
+      }
+
+      const [session] = await this.findBy('tokenHash', tokenHash);
+      if (!this.isActive(session, now)) {
+        return null;
+      }
+
+      const rotated = await this.store.put(this.collection, {
+        ...session,
+        previousTokenHash: tokenHash,
+        tokenHash: OneTimeTokenRepository.hash(newToken),
+        userAgent: userAgent || session.userAgent,
+        ip: ip || session.ip,
+        lastSeenAt: now.toISOString()
+      });
+      return { session: { ...rotated }, refreshToken: newToken };
+    });
+  }
+
+  async findByToken(refreshToken) {
+    const tokenHash = OneTimeTokenRepository.hash(refreshToken);
+    const [session] = await this.findBy('tokenHash', tokenHash);
+    return session || null;
+  }
+
+  async activeFor(userId) {
+    const now = new Date();
+    return this.filter(r => r.userId === userId && this.isActive(r, now));
+  }
+
+  // Revoke the user's sessions, or just the one with sessionId. exceptId
+  // keeps one session (the current one) alive. Resolves to the number
+  // revoked.
+  async revoke(userId, { sessionId = null, exceptId = null, reason = 'logout' } = {}) {
+    const now = new Date();
+    return this.mutate(records => {
+      let revoked = 0;
+      records.forEach(record => {
+        if (record.userId !== userId || !this.isActive(record, now)) return;
+        if (sessionId !== null && record.id !== sessionId) return;
+        if (exceptId !== null && record.id === exceptId) return;
+
+        record.revokedAt = now.toISOString();
+        record.revokedReason = reason;
+        revoked += 1;
+      });
+      return revoked;
+    });
+  }
+}
+
+// Site-wide settings, one { key, value } record per setting
+class SettingsRepository extends Repository {
+  async getValue(key, fallback = null) {
+    const setting = await this.findOne(record => record.key === key);
+    return setting ? setting.value : fallback;
+  }
+
+  async setValue(key, value) {
+    return this.mutate(async records => {
+      const updatedAt = new Date().toISOString();
+      const setting = records.find(record => record.key === key);
+      if (setting) {
+        Object.assign(setting, { value, updatedAt });
+      } else {
+        records.push({ id: await this.nextId(), key, value, updatedAt });
+      }
+      return value;
+    });
+  }
+}
+
+// Sort helper: newest first by createdAt
+function newestFirst(a, b) {
+  return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+}
+
+module.exports = {
+  Repository,
+  UserRepository,
+  BookingRepository,
+  ReceiptRepository,
+  CreditNoteRepository,
+  PaymentRepository,
+  PromoCodeRepository,
+  OneTimeTokenRepository,
+  SessionRepository,
+  SettingsRepository,
+  newestFirst
+};
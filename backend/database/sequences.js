@@ -0,0 +1,77 @@
+// Sequence service: monotonic counters stored in the 'sequences' collection
+// next to the rest of the data, so ids and reference numbers survive
+// restarts and are never handed out twice, even after records are deleted.
+//
+// Each counter is a record { id, name, value, updatedAt }.
+
+const COLLECTION = 'sequences';
+
+class SequenceService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Next value of a counter. floor is the highest value already in use
+  // (e.g. the current max id), so a counter created for existing data, or
+  // restored from an older copy, never goes back below it.
+  async next(name, floor = 0) {
+    return this.store.withLock(COLLECTION, async () => {
+      const counters = await this.store.read(COLLECTION);
+      let counter = counters.find(c => c.name === name);
+
+      if (!counter) {
+        counter = {
+          id: counters.reduce((max, c) => Math.max(max, c.id), 0) + 1,
+          name,
+          value: 0
+        };
+        counters.push(counter);
+      }
+
+      counter.value = Math.max(counter.value, floor) + 1;
+      counter.updatedAt = new Date().toISOString();
+
+      await this.store.put(COLLECTION, counter);
+      return counter.value;
+    });
+  }
+
+  // Current value without incrementing (0 when the counter is unused)
+  async current(name) {
+    const counters = await this.store.read(COLLECTION);
+    const counter = counters.find(c => c.name === name);
+    return counter ? counter.value : 0;
+  }
+
+  // Booking reference, e.g. BK-2026-000123
+  async nextBookingReference(floor = 0) {
+    const value = await this.next('bookingReference', floor);
+    return `BK-${new Date().getFullYear()}-${String(value).padStart(6, '0')}`;
+  }
+
+  // Receipt number, e.g. R000123
+  async nextReceiptNumber(floor = 0) {
+    const value = await this.next('receiptNumber', floor);
+    return `R${String(value).padStart(6, '0')}`;
+  }
+
+  // Credit note number, e.g. CN000123
+  async nextCreditNoteNumber(floor = 0) {
+    const value = await this.next('creditNoteNumber', floor);
+    return `CN${String(value).padStart(6, '0')}`;
+  }
+}
+
+// Highest number used in a list of references matching pattern (first
+// capture group), e.g. highestNumber(['R000011'], /^R(\d+)$/) === 11
+function highestNumber(references, pattern) {
+  return references.reduce((max, reference) => {
+    const match = pattern.exec(reference || '');
+    return match ? Math.max(max, parseInt(match[1])) : max;
+  }, 0);
+}
+
+module.exports = {
+  SequenceService,
+  highestNumber
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./json-store');
+const { createLocks } = require('./lock');
+
+// Default location of the SQLite database file
+const SQLITE_FILE = path.join(DATA_DIR, 'dsis.sqlite');
+
+// Fields records are often looked up by (findBy); each gets an index on
+// its value inside the JSON
+const INDEXED_FIELDS = {
+  users: ['email'],
+  bookings: ['bookingId', 'eventDate'],
+  payments: ['bookingId'],
+  waitlist: ['eventDate'],
+  oneTimeTokens: ['tokenHash'],
+  sessions: ['tokenHash', 'previousTokenHash']
+};
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// Collection name -> table name (promoCodes -> promo_codes)
+function tableName(collection) {
+  return collection.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`).replace(/[^a-z0-9_]/g, '_');
+}
+
+// SQLite storage driver: one table per collection, each row holds the record
+// id and the record itself as JSON, so records keep exactly the shape they
+// have in the JSON files. Writes touch only the rows that changed, and
+// lookups by an indexed field don't read the table.
+function createSqliteStore(filename = process.env.SQLITE_FILE || SQLITE_FILE) {
+  // Loaded lazily: better-sqlite3 is an optional (native) dependency
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+
+  const statements = {};
+  const withLock = createLocks();
+
+  function ensureTable(collection) {
+    const table = tableName(collection);
+    if (!statements[table]) {
+      db.exec(`CREATE TABLE IF NOT EXISTS "${table}" (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+      statements[table] = {
+        all: db.prepare(`SELECT data FROM "${table}" ORDER BY id`),
+        get: db.prepare(`SELECT data FROM "${table}" WHERE id = ?`),
+        maxId: db.prepare(`SELECT MAX(id) AS maxId FROM "${table}"`),
+        insert: db.prepare(`INSERT INTO "${table}" (id, data) VALUES (?, ?)`),
+        put: db.prepare(`INSERT OR REPLACE INTO "${table}" (id, data) VALUES (?, ?)`),
+        delete: db.prepare(`DELETE FROM "${table}" WHERE id = ?`),
+        clear: db.prepare(`DELETE FROM "${table}"`),
+        findBy: {}
+      };
+      (INDEXED_FIELDS[collection] || []).forEach(field => {
+        db.exec(`CREATE INDEX IF NOT EXISTS "${table}_${tableName(field)}" ON "${table}" (json_extract(data, '$.${field}'))`);
+      });
+    }
+    return statements[table];
+  }
+
+  function findByStatement(collection, field) {
+    if (!FIELD_PATTERN.test(field)) {
+      throw new Error(`Invalid field name "${field}"`);
+    }
+    const sql = ensureTable(collection);
+    if (!sql.findBy[field]) {
+      sql.findBy[field] = db.prepare(
+        `SELECT data FROM "${tableName(collection)}" WHERE json_extract(data, '$.${field}') = ? ORDER BY id`
+      );
+    }
+    return sql.findBy[field];
+  }
+
+  const replaceAll = db.transaction((collection, records) => {
+    const sql = ensureTable(collection);
+    sql.clear.run();
+    records.forEach(record => sql.insert.run(record.id, JSON.stringify(record)));
+  });
+
+  async function exists(collection) {
+    const row = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?")
+      .get(tableName(collection));
+    return !!row;
+  }
+
+  async function read(collection) {
+    return ensureTable(collection).all.all().map(row => JSON.parse(row.data));
+  }
+
+  const applyChanges = db.transaction((collection, changed, removed) => {
+    const sql = ensureTable(collection);
+    changed.forEach(record => sql.put.run(record.id, JSON.stringify(record)));
+    removed.forEach(id => sql.delete.run(id));
+  });
+
+  async function write(collection, records) {
+    replaceAll(collection, records);
+  }
+
+  // Save what a read-modify-write cycle changed: changed (new or updated
+  // records) and removed (ids); records is the whole collection afterwards
+  async function writeChanges(collection, records, { changed, removed }) {
+    applyChanges(collection, changed, removed);
+  }
+
+  // Records whose field equals value
+  async function findBy(collection, field, value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return findByStatement(collection, field).all(value).map(row => JSON.parse(row.data));
+  }
+
+  async function get(collection, id) {
+    const row = ensureTable(collection).get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async function maxId(collection) {
+    return ensureTable(collection).maxId.get().maxId || 0;
+  }
+
+  async function insert(collection, record) {
+    ensureTable(collection).insert.run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  async function put(collection, record) {
+    ensureTable(collection).put.run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  // Resolves to true when a record was deleted
+  async function remove(collection, id) {
+    return ensureTable(collection).delete.run(id).changes > 0;
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    driver: 'sqlite',
+    dataDir: filename,
+    withLock,
+    exists,
+    read,
+    write,
+    writeChanges,
+    findBy,
+    get,
+    maxId,
+    insert,
+    put,
+    remove,
+    close
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+  tableName,
+  SQLITE_FILE
+};
@@ -0,0 +1,38 @@
+// Copy collections between storage drivers, keeping record ids.
+// Used by the JSON -> SQLite importer, the SQLite -> JSON exporter and the
+// automatic import on first start with DB_DRIVER=sqlite.
+
+const { COLLECTION_FILES } = require('./json-store');
+
+const COLLECTIONS = Object.keys(COLLECTION_FILES);
+
+// Returns { collection: recordCount } for every collection that was copied.
+// Collections that already exist in the target are skipped unless overwrite.
+async function copyCollections(source, target, { collections = COLLECTIONS, overwrite = false } = {}) {
+  const copied = {};
+
+  for (const collection of collections) {
+    if (!(await source.exists(collection))) {
+      continue;
+    }
+    if (!overwrite && (await target.exists(collection))) {
+      continue;
+    }
+
+    const records = await source.read(collection);
+    const missingId = records.find(record => !Number.isInteger(record.id));
+    if (missingId) {
+      throw new Error(`Cannot copy ${collection}: record without a numeric id (${JSON.stringify(missingId).slice(0, 80)})`);
+    }
+
+    await target.write(collection, records);
+    copied[collection] = records.length;
+  }
+
+  return copied;
+}
+
+module.exports = {
+  copyCollections,
+  COLLECTIONS
+};
@@ -0,0 +1,105 @@
+// Outgoing mail.
+// Routes call getMailer().send({ to, subject, text }) and never talk to a
+// mail server directly.
+//
+// MAIL_TRANSPORT selects how mail is delivered:
+//   'smtp'    (default when NODE_ENV=production) through SMTP_HOST, SMTP_PORT,
+//             SMTP_SECURE, SMTP_USER and SMTP_PASS
+//   'file'    (default otherwise) one JSON file per message in MAIL_OUTBOX_DIR
+//             (default backend/outbox), handy for development and tests
+//   'console' print messages to the server log
+// MAIL_FROM is the sender address.
+
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox');
+const MAIL_FROM = process.env.MAIL_FROM || "d'sis Catering <no-reply@dsis-catering.local>";
+
+let mailer = null;
+
+function createSmtpTransport() {
+  // Loaded lazily so development doesn't need an SMTP setup
+  const nodemailer = require('nodemailer');
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+
+  return {
+    transport: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: MAIL_FROM, ...message });
+      return { id: info.messageId };
+    }
+  };
+}
+
+// Writes each message to <dir>/<timestamp>-<to>.json
+function createFileTransport(dir = OUTBOX_DIR) {
+  return {
+    transport: 'file',
+    dir,
+    async send(message) {
+      const sentAt = new Date().toISOString();
+      const id = `${sentAt.replace(/[:.]/g, '-')}-${String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_')}`;
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ from: MAIL_FROM, ...message, sentAt }, null, 2));
+      return { id };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    transport: 'console',
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: `console-${Date.now()}` };
+    }
+  };
+}
+
+function createMailer(transport = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file')) {
+  switch (transport) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected "smtp", "file" or "console")`);
+  }
+}
+
+function getMailer() {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+  return mailer;
+}
+
+// Use a different transport (e.g. a file outbox in a temp directory)
+function setMailer(transport) {
+  mailer = transport;
+  return mailer;
+}
+
+module.exports = {
+  getMailer,
+  setMailer,
+  createMailer,
+  createFileTransport,
+  createConsoleTransport,
+  OUTBOX_DIR
+};
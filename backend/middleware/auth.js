@@ -2,17 +2,29 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_key_change_in_production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
+// No default: server.js refuses to start without it, as anyone could sign
+// tokens with a secret written here
+const JWT_SECRET = process.env.JWT_SECRET;
+// Access tokens are short-lived; clients renew them with the refresh token
+// of their session (POST /api/auth/refresh)
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
 
-// Generate JWT token
-function generateToken(user) {
+// Generate JWT token for a login session (sessionId). A staff member who
+// has to set up two-factor authentication first gets a token marked
+// twoFactorSetupRequired, which only works for their own account pages.
+function generateToken(user, { sessionId, twoFactorSetupRequired = false } = {}) {
   const payload = {
     id: user.id,
     email: user.email,
     userType: user.userType,
-    username: user.username
+    username: user.username,
+    sid: sessionId
   };
+
+  if (twoFactorSetupRequired) {
+    payload.twoFactorSetupRequired = true;
+  }
   
   return jwt.sign(payload, JWT_SECRET, { 
     expiresIn: JWT_EXPIRES_IN,
@@ -21,6 +33,25 @@ function generateToken(user) {
   });
 }
 
+// Short-lived token proving the password step of a two-factor login
+function generateChallengeToken(user) {
+  return jwt.sign({ id: user.id }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    issuer: 'dsis-catering',
+    audience: 'dsis-two-factor'
+  });
+}
+
+// Resolves the challenge token to its payload, or null when it is invalid
+// or expired
+function verifyChallengeToken(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, { issuer: 'dsis-catering', audience: 'dsis-two-factor' });
+  } catch (err) {
+    return null;
+  }
+}
+
 // Verify JWT token middleware
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
@@ -30,7 +61,7 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, { issuer: 'dsis-catering', audience: 'dsis-users' }, (err, user) => {
     if (err) {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({ error: 'Token expired' });
@@ -40,23 +71,102 @@ function authenticateToken(req, res, next) {
       }
       return res.status(403).json({ error: 'Token verification failed' });
     }
-    
-    req.user = user;
-    next();
+
+    // The session must still be open (not logged out or revoked)
+    const { getDatabase } = require('../database/init'); // not at the top: database/init requires this module
+    getDatabase().sessions.findById(user.sid)
+      .then(session => {
+        if (!session || session.userId !== user.id || session.revokedAt) {
+          return res.status(401).json({ error: 'Session ended. Please log in again.', code: 'SESSION_ENDED' });
+        }
+
+        req.user = user;
+        next();
+      })
+      .catch(error => {
+        console.error('Session check error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      });
   });
 }
 
+// For public endpoints whose answer depends on who is asking: requests
+// with a token are authenticated as above, requests without one go on
+// without req.user
+function optionalAuthentication(req, res, next) {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+}
+
+// What each staff role may do. Admins may do everything ('*'); customers
+// have no staff permissions and only reach their own records.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  coordinator: [
+    'dashboard.view', 'bookings.view', 'bookings.status', 'prep.view',
+    'messages.view', 'messages.reply', 'receipts.view'
+  ],
+  cashier: ['dashboard.view', 'bookings.view', 'receipts.view', 'payments.update'],
+  kitchen: ['prep.view', 'prep.checklist'],
+  customer: []
+};
+
+const STAFF_ROLES = Object.keys(ROLE_PERMISSIONS).filter(role => role !== 'customer');
+
+// Setting (db.settings): staff accounts must use two-factor authentication
+const REQUIRE_STAFF_TWO_FACTOR = 'requireTwoFactorForStaff';
+
+// Permissions of a role (unknown roles get none)
+function permissionsFor(userType) {
+  return ROLE_PERMISSIONS[userType] || [];
+}
+
+// Staff who still have to set up two-factor authentication have none
+function hasPermission(user, permission) {
+  if (!user || user.twoFactorSetupRequired) {
+    return false;
+  }
+  const permissions = permissionsFor(user.userType);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+function twoFactorSetupRequired(res) {
+  return res.status(403).json({
+    error: 'Set up two-factor authentication on your profile page to continue',
+    code: 'TWO_FACTOR_SETUP_REQUIRED'
+  });
+}
+
+// Require a permission, e.g. router.get('/', authenticateToken, requirePermission('bookings.view'), ...)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (req.user && req.user.twoFactorSetupRequired) {
+      return twoFactorSetupRequired(res);
+    }
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to do this', permission });
+    }
+    next();
+  };
+}
+
 // Require admin role
 function requireAdmin(req, res, next) {
   if (!req.user || req.user.userType !== 'admin') {
     return res.status(403).json({ error: 'Admin access required' });
   }
+  if (req.user.twoFactorSetupRequired) {
+    return twoFactorSetupRequired(res);
+  }
   next();
 }
 
-// Require customer or admin role
+// Require a customer or staff account (staff only see other people's
+// records where their permissions allow it)
 function requireCustomerOrAdmin(req, res, next) {
-  if (!req.user || (req.user.userType !== 'customer' && req.user.userType !== 'admin')) {
+  if (!req.user || (req.user.userType !== 'customer' && !STAFF_ROLES.includes(req.user.userType))) {
     return res.status(403).json({ error: 'Customer or admin access required' });
   }
   next();
@@ -73,6 +183,11 @@ async function verifyPassword(plainPassword, hashedPassword) {
   return await bcrypt.compare(plainPassword, hashedPassword);
 }
 
+// Whether a stored password is a bcrypt hash (older accounts hold plain text)
+function isPasswordHash(password) {
+  return /^\$2[aby]\$\d{2}\$/.test(password || '');
+}
+
 // Validate password strength
 function validatePasswordStrength(password) {
   const minLength = 8;
@@ -127,11 +242,21 @@ function calculatePasswordStrength(password) {
 
 module.exports = {
   generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   authenticateToken,
+  optionalAuthentication,
   requireAdmin,
   requireCustomerOrAdmin,
+  requirePermission,
+  hasPermission,
+  permissionsFor,
+  ROLE_PERMISSIONS,
+  STAFF_ROLES,
+  REQUIRE_STAFF_TWO_FACTOR,
   hashPassword,
   verifyPassword,
+  isPasswordHash,
   validatePasswordStrength,
   JWT_SECRET
 };
\ No newline at end of file
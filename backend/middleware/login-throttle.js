@@ -0,0 +1,274 @@
+// Brute-force protection for the login and password reset endpoints.
+//
+// Attempts are counted per IP address and per account (email) in the
+// loginAttempts collection, so a restart doesn't clear them. Once a key has
+// used its free attempts every further failure doubles its wait
+// (LOGIN_BACKOFF_BASE_SECONDS, then 2x, 4x, ... up to
+// LOGIN_BACKOFF_MAX_SECONDS). At the lockout threshold the key is locked
+// for LOGIN_LOCKOUT_MINUTES; IP addresses get a higher threshold than
+// accounts since many customers can share one. Failures are forgotten after
+// LOGIN_ATTEMPT_WINDOW_MINUTES without a new one.
+//
+// An attempt is counted under the loginAttempts lock before the password
+// is checked (begin), and settled once it is known whether it failed
+// (finish). Once failures and attempts still running add up to a key's
+// free attempts, the key gets one attempt at a time, so firing requests in
+// parallel doesn't get around the backoff or the lockout.
+
+const crypto = require('crypto');
+const { getDatabase } = require('../database/init');
+require('dotenv').config();
+
+const BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+const BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 300;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 60;
+// An attempt not settled by then (the request died) no longer counts as running
+const RUNNING_SECONDS = 60;
+
+// Per kind of key: failures before backoff starts, failures that lock
+const POLICIES = {
+  account: {
+    freeAttempts: parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS) || 3,
+    lockoutThreshold: parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD) || 10
+  },
+  ip: {
+    freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+    lockoutThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50
+  }
+};
+
+// Keys of a request: { scope, kind, subject }, e.g. login attempts for
+// account "ana@example.com"
+function attemptKeys(scope, ip, email) {
+  const keys = [{ scope, kind: 'ip', subject: ip || 'unknown' }];
+  if (email) {
+    keys.push({ scope, kind: 'account', subject: String(email).trim().toLowerCase() });
+  }
+  return keys;
+}
+
+function keyString({ scope, kind, subject }) {
+  return `${scope}:${kind}:${subject}`;
+}
+
+function createLoginThrottle(attempts, { policies = POLICIES } = {}) {
+  function isBlocked(record, time) {
+    return !!record.blockedUntil && new Date(record.blockedUntil).getTime() > time;
+  }
+
+  // Attempts of the record still running: [{ id, startedAt }]
+  function running(record, time) {
+    return (record.running || []).filter(attempt =>
+      time - new Date(attempt.startedAt).getTime() <= RUNNING_SECONDS * 1000);
+  }
+
+  // Stale: not blocked, nothing running and no failure within the window
+  function isStale(record, time) {
+    return !isBlocked(record, time) && running(record, time).length === 0 &&
+      (!record.lastFailureAt || time - new Date(record.lastFailureAt).getTime() > ATTEMPT_WINDOW_MINUTES * 60000);
+  }
+
+  // The longest wait among the records: { retryAfter (seconds), locked, kind }
+  function longestBlock(records, time) {
+    return records
+      .filter(record => isBlocked(record, time))
+      .map(record => ({
+        retryAfter: Math.ceil((new Date(record.blockedUntil).getTime() - time) / 1000),
+        locked: !!record.locked,
+        kind: record.kind
+      }))
+      .sort((a, b) => b.retryAfter - a.retryAfter)[0] || null;
+  }
+
+  // The keys' records (created when missing), old ones forgotten on the way
+  async function recordsFor(records, keys, time) {
+    const current = records.filter(record => !isStale(record, time));
+    records.splice(0, records.length, ...current);
+
+    const found = [];
+    for (const key of keys) {
+      let record = records.find(r => r.key === keyString(key));
+      if (!record) {
+        record = { id: await attempts.nextId(), key: keyString(key), ...key, failures: 0, lastFailureAt: null, running: [] };
+        records.push(record);
+      }
+      found.push(record);
+    }
+    return found;
+  }
+
+  function countFailure(record, time) {
+    const policy = policies[record.kind];
+    const timestamp = new Date(time).toISOString();
+
+    record.failures += 1;
+    record.firstFailureAt = record.firstFailureAt || timestamp;
+    record.lastFailureAt = timestamp;
+
+    if (record.failures >= policy.lockoutThreshold) {
+      record.locked = true;
+      record.lockedAt = timestamp;
+      record.blockedUntil = new Date(time + LOCKOUT_MINUTES * 60000).toISOString();
+    } else if (record.failures > policy.freeAttempts) {
+      const seconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (record.failures - policy.freeAttempts - 1), BACKOFF_MAX_SECONDS);
+      record.blockedUntil = new Date(time + seconds * 1000).toISOString();
+    }
+  }
+
+  return {
+    // Start an attempt of the keys. Resolves to { attempt } (its id, for
+    // finish) or, when the keys have to wait, { block }.
+    async begin(keys) {
+      const time = Date.now();
+
+      return attempts.mutate(async records => {
+        const found = await recordsFor(records, keys, time);
+
+        const block = longestBlock(found, time);
+        if (block) {
+          return { block };
+        }
+        // Past the free attempts only one attempt runs at a time
+        const busy = found.find(record => {
+          const count = running(record, time).length;
+          return count > 0 && record.failures + count >= policies[record.kind].freeAttempts;
+        });
+        if (busy) {
+          return { block: { retryAfter: 1, locked: false, kind: busy.kind } };
+        }
+
+        const attempt = { id: crypto.randomBytes(8).toString('hex'), startedAt: new Date(time).toISOString() };
+        found.forEach(record => {
+          record.running = [...running(record, time), attempt];
+        });
+        return { attempt: attempt.id };
+      });
+    },
+
+    // Settle an attempt begin started: failed ones are counted (for rate
+    // limited requests, every one). Resolves to the wait the keys are now
+    // under, or null.
+    async finish(keys, attempt, { failed }) {
+      const time = Date.now();
+
+      return attempts.mutate(async records => {
+        const found = await recordsFor(records, keys, time);
+        found.forEach(record => {
+          record.running = running(record, time).filter(other => other.id !== attempt);
+          if (failed) {
+            countFailure(record, time);
+          }
+        });
+        return failed ? longestBlock(found, time) : null;
+      });
+    },
+
+    // Forget the failures of the keys (after a successful login)
+    async reset(keys) {
+      const wanted = keys.map(keyString);
+      return attempts.mutate(records => {
+        const kept = records.filter(record => !wanted.includes(record.key));
+        const removed = records.length - kept.length;
+        records.splice(0, records.length, ...kept);
+        return removed;
+      });
+    },
+
+    // Keys that are locked out right now
+    async locked() {
+      const time = Date.now();
+      const records = await attempts.filter(record => record.locked && isBlocked(record, time));
+      return records.map(record => ({
+        ...record,
+        retryAfter: Math.ceil((new Date(record.blockedUntil).getTime() - time) / 1000)
+      }));
+    },
+
+    // Lift a lockout. Resolves to the removed record, or null.
+    async unlock(id) {
+      return attempts.remove(id);
+    }
+  };
+}
+
+function getLoginThrottle() {
+  return createLoginThrottle(getDatabase().loginAttempts);
+}
+
+// An attempt of the keys, begun: { block } when they have to wait,
+// otherwise { failed(), succeeded() } to settle it with. An attempt the
+// caller never settles (bad input, an error) is settled as not failed when
+// release() is called.
+async function startAttempt(keys) {
+  const throttle = getLoginThrottle();
+  const { attempt, block } = await throttle.begin(keys);
+  if (block) {
+    return { block };
+  }
+
+  let settled = false;
+  const settle = failed => {
+    settled = true;
+    return throttle.finish(keys, attempt, { failed });
+  };
+  return {
+    failed: () => settle(true),
+    succeeded: async () => {
+      await settle(false);
+      return throttle.reset(keys.filter(key => key.kind === 'account'));
+    },
+    release: () => (settled ? Promise.resolve(null) : settle(false))
+  };
+}
+
+// Middleware for an endpoint that takes an email in the body: rejects the
+// request with 429 while the IP address or the account has to wait, and
+// puts the throttle for this request on req.loginAttempts
+// ({ recordFailure(), reset() }).
+function throttleAttempts(scope) {
+  return async (req, res, next) => {
+    try {
+      const attempt = await startAttempt(attemptKeys(scope, req.ip, req.body && req.body.email));
+
+      if (attempt.block) {
+        return tooManyAttempts(res, attempt.block);
+      }
+
+      res.on('close', () => {
+        attempt.release().catch(error => console.error('Login throttle error:', error));
+      });
+      req.loginAttempts = {
+        recordFailure: attempt.failed,
+        reset: attempt.succeeded
+      };
+      next();
+    } catch (error) {
+      console.error('Login throttle error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+function tooManyAttempts(res, { retryAfter, locked }) {
+  const wait = retryAfter >= 120
+    ? `${Math.ceil(retryAfter / 60)} minutes`
+    : `${retryAfter} second${retryAfter === 1 ? '' : 's'}`;
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: locked
+      ? `Too many attempts. This has been locked for ${wait}.`
+      : `Too many attempts. Please wait ${wait} before trying again.`,
+    retryAfter,
+    locked
+  });
+}
+
+module.exports = {
+  createLoginThrottle,
+  getLoginThrottle,
+  startAttempt,
+  throttleAttempts,
+  tooManyAttempts,
+  attemptKeys
+};
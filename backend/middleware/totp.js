@@ -0,0 +1,120 @@
+// Time-based one-time passwords (RFC 6238) for two-factor authentication,
+// compatible with authenticator apps: HMAC-SHA1, 6 digits, 30 second steps.
+// Secrets are base32 encoded (RFC 4648) as the apps expect.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = "d'sis Catering";
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret (160 bits, as RFC 4226 recommends)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step of a moment (milliseconds)
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+// HOTP value (RFC 4226) of a counter
+function hotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function totp(secret, time = Date.now()) {
+  return hotp(secret, timeStep(time));
+}
+
+// Checks a code against the current step and `window` steps either side
+// (clock drift). Resolves to the matching step, or null. Steps up to
+// `afterStep` are refused so a code can't be used twice.
+function verifyTotp(secret, code, { time = Date.now(), window = 1, afterStep = -1 } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) {
+    return null;
+  }
+
+  const current = timeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step > afterStep && crypto.timingSafeEqual(Buffer.from(hotp(secret, step)), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// otpauth:// URI for the QR code authenticator apps scan
+function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// Recovery codes like "4f9a-c21e-77b0", each good for one login
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+}
+
+function hashRecoveryCode(code) {
+  const clean = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(clean).digest('hex');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -0,0 +1,251 @@
+// Paying online.
+//
+// A customer paying online starts a checkout intent (db.paymentIntents)
+// for an amount (by default what is due next) and is sent to the payment
+// provider's checkout page. The provider reports back through a signed
+// webhook; once it says the payment succeeded the money is recorded in
+// the ledger like any other payment (with the provider's payment id as
+// its reference) and the customer returns to their profile page.
+//
+// Intent status: 'creating' → 'open' → 'paid' | 'failed'; an intent the
+// provider couldn't create ends 'failed' straight away. A paid intent the
+// ledger won't take (say an amount of 0) keeps the ledger's error for
+// staff to sort out with the customer.
+//
+// Idempotency: a repeated checkout request with the same Idempotency-Key
+// gets the intent the first one started, webhook events are handled once
+// (their ids are kept on the intent) and provider payment ids are
+// recorded once (see ledger.js).
+
+const crypto = require('crypto');
+const { getMailer } = require('../mail');
+const { formatPeso, roundMoney } = require('../pricing/money');
+const { getPaymentProvider, ProviderError } = require('./providers');
+const { PaymentError, bookingPayments, recordPayment, updateRefund, settleRefunded } = require('./ledger');
+
+const APP_URL = process.env.APP_URL || 'https://k1ng846.github.io/d-sis-catering-';
+
+// Bookings that can be paid online: confirmed and not over yet
+const PAYABLE_STATUSES = ['confirmed', 'deposit_paid', 'in_preparation'];
+
+// What the customer sees of an intent
+function publicIntent(intent) {
+  const { events, idempotencyKey, userId, ...shown } = intent;
+  return shown;
+}
+
+// Start paying amount (default: what is due next) towards the booking.
+// Resolves to { intent, reused }; throws a PaymentError when the booking
+// can't be paid online or the amount is wrong.
+async function startCheckout(db, booking, { amount, user, idempotencyKey = '' }) {
+  if (!PAYABLE_STATUSES.includes(booking.bookingStatus)) {
+    throw new PaymentError('NOT_PAYABLE', 'This booking can be paid online once we have confirmed it', 409);
+  }
+
+  const { summary } = await bookingPayments(db, booking);
+  const owing = roundMoney(summary.outstanding - summary.awaitingClearance);
+  if (!(owing > 0)) {
+    throw new PaymentError('NOTHING_DUE', 'Nothing is left to pay on this booking', 409);
+  }
+
+  const wanted = amount === undefined || amount === null || amount === ''
+    ? Math.min(summary.nextDue ? summary.nextDue.amount : owing, owing)
+    : roundMoney(Number(amount));
+  if (!(wanted > 0) || wanted > owing) {
+    throw new PaymentError('INVALID_AMOUNT', `Please pay between ${formatPeso(0.01)} and ${formatPeso(owing)}`, 400);
+  }
+
+  // Claimed under the lock so the same key never starts two checkouts
+  const { intent, existing } = await db.paymentIntents.mutate(async records => {
+    const found = idempotencyKey && records.find(record =>
+      record.userId === user.id && record.idempotencyKey === idempotencyKey);
+    if (found) {
+      return { existing: { ...found } };
+    }
+
+    const at = new Date().toISOString();
+    const reference = `PI-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+    const created = {
+      id: await db.paymentIntents.nextId(),
+      reference,
+      bookingId: booking.bookingId,
+      userId: user.id,
+      amount: wanted,
+      currency: 'PHP',
+      description: `Booking ${booking.bookingId} (${booking.eventType} on ${booking.eventDate})`,
+      provider: getPaymentProvider().name,
+      providerRef: null,
+      redirectUrl: null,
+      successUrl: `${APP_URL}/profile.html?payment=${reference}`,
+      cancelUrl: `${APP_URL}/profile.html?payment=${reference}&cancelled=1`,
+      status: 'creating',
+      idempotencyKey: idempotencyKey || null,
+      paymentId: null,
+      events: [],
+      createdAt: at,
+      updatedAt: at
+    };
+    records.push(created);
+    return { intent: { ...created } };
+  });
+
+  if (existing) {
+    if (existing.bookingId !== booking.bookingId || existing.amount !== wanted) {
+      throw new PaymentError('IDEMPOTENCY_MISMATCH', 'This Idempotency-Key was already used for a different payment', 422);
+    }
+    return { intent: existing, reused: true };
+  }
+
+  let checkout;
+  try {
+    checkout = await getPaymentProvider().createCheckout({
+      reference: intent.reference,
+      amount: intent.amount,
+      description: intent.description,
+      customer: { name: booking.customerName, email: booking.customerEmail },
+      successUrl: intent.successUrl,
+      cancelUrl: intent.cancelUrl,
+      idempotencyKey: intent.reference
+    });
+  } catch (error) {
+    await db.paymentIntents.update(intent.id, { status: 'failed', error: error.message, updatedAt: new Date().toISOString() });
+    if (error instanceof ProviderError) {
+      throw new PaymentError('PROVIDER_ERROR', error.message, error.status);
+    }
+    throw error;
+  }
+
+  const opened = await db.paymentIntents.update(intent.id, {
+    status: 'open',
+    providerRef: checkout.providerRef,
+    redirectUrl: checkout.redirectUrl,
+    updatedAt: new Date().toISOString()
+  });
+  return { intent: opened, reused: false };
+}
+
+// Mark the intent for a provider event, unless the event was handled
+// before. Resolves to the intent, or { duplicate: true } / null (no such
+// intent).
+async function claimIntent(db, providerName, event, changes) {
+  return db.paymentIntents.mutate(records => {
+    const intent = records.find(record => record.provider === providerName && record.providerRef === event.providerRef);
+    if (!intent) {
+      return null;
+    }
+    if ((intent.events || []).includes(event.id) || ['paid', 'failed'].includes(intent.status)) {
+      return { duplicate: true };
+    }
+
+    Object.assign(intent, changes, {
+      events: [...(intent.events || []), event.id],
+      updatedAt: new Date().toISOString()
+    });
+    return { ...intent };
+  });
+}
+
+async function paymentSucceeded(db, providerName, event) {
+  const intent = await claimIntent(db, providerName, event, { status: 'paid', paidAt: new Date().toISOString() });
+  if (!intent || intent.duplicate) {
+    return intent ? 'duplicate' : 'unknown';
+  }
+
+  const booking = await db.bookings.findByReference(intent.bookingId);
+  let payment;
+  try {
+    payment = await recordPayment(db, booking, {
+      amount: event.amount,
+      method: event.method,
+      reference: event.paymentRef,
+      status: 'cleared',
+      note: `Paid online (${providerName})`,
+      provider: providerName,
+      intentReference: intent.reference
+    }, null, { alreadyTaken: true });
+  } catch (error) {
+    if (error instanceof PaymentError && error.code === 'DUPLICATE_REFERENCE') {
+      return 'duplicate';
+    }
+    // The gateway sending the event again won't change the ledger's mind
+    if (error instanceof PaymentError) {
+      console.error(`Payment ${event.paymentRef} for booking ${intent.bookingId} was not recorded: ${error.message}`);
+      await db.paymentIntents.update(intent.id, {
+        error: error.message,
+        updatedAt: new Date().toISOString()
+      });
+      return 'rejected';
+    }
+    // Reopen the intent so the gateway's retry of this event gets recorded
+    await db.paymentIntents.update(intent.id, current => ({
+      ...current,
+      status: 'open',
+      paidAt: null,
+      events: current.events.filter(id => id !== event.id)
+    }));
+    throw error;
+  }
+  await db.paymentIntents.update(intent.id, { paymentId: payment.id });
+
+  try {
+    await getMailer().send({
+      to: booking.customerEmail,
+      subject: `Payment received for booking ${booking.bookingId}`,
+      text: [
+        `Hi ${booking.customerName || 'there'},`,
+        '',
+        `We have received your online payment of ${formatPeso(payment.amount)} for your ${booking.eventType} on ${booking.eventDate}.`,
+        `Payment reference: ${payment.reference}`,
+        '',
+        "d'sis Catering"
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error(`Payment mail for booking ${booking.bookingId} failed:`, error);
+  }
+  return 'recorded';
+}
+
+async function refundUpdated(db, providerName, event) {
+  const payment = await db.payments.findOne(record => record.provider === providerName && record.reference === event.paymentRef);
+  const refund = payment && (payment.refunds || []).find(record => record.refundRef === event.refundRef);
+  if (!refund) {
+    return 'unknown';
+  }
+  if (refund.status !== 'pending') {
+    return 'duplicate';
+  }
+
+  const status = event.type === 'refund.succeeded' ? 'succeeded' : 'failed';
+  const updated = await updateRefund(db, payment.id, refund.id, { status, completedAt: new Date().toISOString() });
+  if (status === 'succeeded') {
+    await settleRefunded(db, updated, refund);
+  }
+  return 'recorded';
+}
+
+// Handle a verified webhook event of the provider. Resolves to what came
+// of it: 'recorded', 'duplicate', 'rejected' (a payment the ledger won't
+// take), 'unknown' (not ours) or 'ignored'.
+async function handleProviderEvent(db, providerName, event) {
+  switch (event.type) {
+    case 'payment.succeeded':
+      return paymentSucceeded(db, providerName, event);
+    case 'payment.failed': {
+      const intent = await claimIntent(db, providerName, event, { status: 'failed' });
+      return !intent ? 'unknown' : intent.duplicate ? 'duplicate' : 'recorded';
+    }
+    case 'refund.succeeded':
+    case 'refund.failed':
+      return refundUpdated(db, providerName, event);
+    default:
+      return 'ignored';
+  }
+}
+
+module.exports = {
+  PAYABLE_STATUSES,
+  publicIntent,
+  startCheckout,
+  handleProviderEvent
+};
@@ -0,0 +1,166 @@
+// Credit notes: refunds against a receipt.
+//
+// A credit note pays an amount of a receipt back from the booking's
+// cleared payments, newest first, through the ledger's refunds (online
+// payments through their payment provider). It records why and who
+// approved it, and is numbered CN000001, CN000002, ...
+//
+// The refunds are kept on the note as { paymentId, refundId, amount };
+// their status is read from the payment (a provider may finish a refund
+// later). Each refund comes off what the customer owes (booking.credited,
+// see bookingTotal in schedule.js) once it succeeds (settleRefunded in
+// ledger.js). A refund the provider refused is kept with status 'failed'
+// and its error; it credits nothing, so that part can be refunded again.
+
+const { roundMoney, formatPeso } = require('../pricing/money');
+const { paidAmount } = require('./schedule');
+const { PaymentError, recordedBy, refundPayment } = require('./ledger');
+
+// A refund of a note with its current status, read from the payment
+function currentStatus(payments, refund) {
+  const payment = payments.find(other => other.id === refund.paymentId);
+  const current = payment && (payment.refunds || []).find(other => other.id === refund.refundId);
+  return current ? current.status : refund.status;
+}
+
+// What a note takes off its receipt: its amount, less refunds that failed
+function noteCredit(note, payments) {
+  const failed = note.refunds.filter(refund => currentStatus(payments, refund) === 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return roundMoney(note.amount - failed);
+}
+
+function creditedOn(notes, payments) {
+  return roundMoney(notes.reduce((sum, note) => sum + noteCredit(note, payments), 0));
+}
+
+// What is left to refund of a cleared payment, counting refunds under way
+function refundable(payment) {
+  if (payment.status !== 'cleared') {
+    return 0;
+  }
+  const pending = (payment.refunds || []).filter(refund => refund.status === 'pending')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return roundMoney(paidAmount(payment) - pending);
+}
+
+// The note with its refunds' current status
+async function creditNoteView(db, note) {
+  const payments = await db.payments.filter(payment => note.refunds.some(refund => refund.paymentId === payment.id));
+  return {
+    ...note,
+    credited: noteCredit(note, payments),
+    refunds: note.refunds.map(refund => {
+      const payment = payments.find(other => other.id === refund.paymentId);
+      return {
+        ...refund,
+        method: payment ? payment.method : null,
+        status: currentStatus(payments, refund)
+      };
+    })
+  };
+}
+
+// Refund amount of the receipt ({ amount, reason, idempotencyKey }),
+// approved by user. Resolves to the credit note (the one issued before for
+// a repeated idempotencyKey); throws a PaymentError when the amount can't
+// be refunded.
+async function issueCreditNote(db, receipt, { amount, reason, idempotencyKey = '' }, user) {
+  const wanted = roundMoney(Number(amount));
+  const why = String(reason || '').trim();
+
+  const booking = await db.bookings.findByReference(receipt.bookingId);
+  if (!booking) {
+    throw new PaymentError('BOOKING_NOT_FOUND', 'The booking of this receipt no longer exists', 404);
+  }
+
+  // One note of a booking at a time: its payments are read, checked and
+  // refunded under the lock, so two notes can't both pay back the same money
+  return db.store.withLock(`credit-notes:${booking.bookingId}`, async () => {
+    const payments = await db.payments.forBooking(booking);
+
+    // Numbered under the creditNotes lock
+    const { note, existing } = await db.creditNotes.mutate(async records => {
+      const found = idempotencyKey && records.find(record =>
+        record.receiptNumber === receipt.receiptNumber && record.idempotencyKey === idempotencyKey);
+      if (found) {
+        return { existing: found };
+      }
+
+      if (!why) {
+        throw new PaymentError('REASON_REQUIRED', 'Please give a reason for the refund', 400);
+      }
+      const creditable = roundMoney(receipt.totalAmount -
+        creditedOn(records.filter(record => record.receiptNumber === receipt.receiptNumber), payments));
+      const paidBack = roundMoney(payments.reduce((sum, payment) => sum + refundable(payment), 0));
+      const most = Math.min(creditable, paidBack);
+      if (!(most > 0)) {
+        throw new PaymentError('NOTHING_TO_REFUND', 'Nothing paid on this receipt is left to refund', 409);
+      }
+      if (!(wanted > 0) || wanted > most) {
+        throw new PaymentError('INVALID_AMOUNT', `Up to ${formatPeso(most)} of this receipt can be refunded`, 400);
+      }
+
+      const at = new Date().toISOString();
+      const created = {
+        id: await db.creditNotes.nextId(),
+        creditNoteNumber: await db.creditNotes.nextCreditNoteNumber(),
+        receiptId: receipt.receiptId,
+        receiptNumber: receipt.receiptNumber,
+        bookingId: receipt.bookingId,
+        customerName: receipt.customerName,
+        customerEmail: receipt.customerEmail,
+        receiptTotal: receipt.totalAmount,
+        amount: wanted,
+        reason: why,
+        approvedBy: recordedBy(user),
+        refunds: [],
+        idempotencyKey: idempotencyKey || null,
+        issuedDate: at.split('T')[0],
+        createdAt: at
+      };
+      records.push(created);
+      return { note: { ...created } };
+    });
+
+    if (existing) {
+      return creditNoteView(db, existing);
+    }
+
+    const refundFrom = payments.filter(payment => refundable(payment) > 0)
+      .sort((a, b) => new Date(b.receivedAt) - new Date(a.receivedAt) || b.id - a.id);
+    let left = note.amount;
+    const refunds = [];
+    for (const payment of refundFrom) {
+      const share = roundMoney(Math.min(left, refundable(payment)));
+      if (!(share > 0)) {
+        continue;
+      }
+      try {
+        const { refund } = await refundPayment(db, payment.id, {
+          amount: share,
+          reason: `Credit note ${note.creditNoteNumber}: ${note.reason}`,
+          idempotencyKey: `${note.creditNoteNumber}-${payment.id}`,
+          creditNoteNumber: note.creditNoteNumber
+        }, user);
+        refunds.push({ paymentId: payment.id, refundId: refund.id, amount: share, status: refund.status });
+      } catch (error) {
+        if (!(error instanceof PaymentError)) {
+          throw error;
+        }
+        refunds.push({ paymentId: payment.id, refundId: null, amount: share, status: 'failed', error: error.message });
+      }
+      left = roundMoney(left - share);
+      if (left <= 0) {
+        break;
+      }
+    }
+
+    return creditNoteView(db, await db.creditNotes.update(note.id, { refunds }));
+  });
+}
+
+module.exports = {
+  creditNoteView,
+  issueCreditNote
+};
@@ -0,0 +1,465 @@
+// Payments towards bookings (db.payments), and what follows from them.
+//
+// Staff record each payment the customer makes, in full or in part, with
+// how it was paid and its reference (OR number, GCash or bank reference).
+// Cash counts at once; other payments can be recorded as 'pending' until
+// they clear, or 'failed' if they bounce. Only cleared payments count
+// towards the booking's schedule (see schedule.js).
+//
+// Payments made online (checkout.js) carry the provider they went through
+// and are refunded through it; other refunds are money we hand back
+// ourselves. Refunds are kept on the payment (refunds: [{ id, amount,
+// reason, status, ... }]) and count once they have succeeded.
+//
+// Whenever a payment clears or is refunded the booking is settled: once
+// the deposit is covered a confirmed booking moves to deposit_paid, and
+// the booking's receipts show whether it is partly or fully paid (or
+// refunded).
+
+const { getMailer } = require('../mail');
+const { formatPeso, roundMoney } = require('../pricing/money');
+const { changeStatus, onStatusChange, TransitionError } = require('../bookings/lifecycle');
+const { getTerms, bookingTotal, paymentSummary, refundedAmount } = require('./schedule');
+const { getPaymentProvider, ProviderError } = require('./providers');
+
+const PAYMENT_METHODS = ['cash', 'gcash', 'maya', 'grab_pay', 'bank_transfer', 'card', 'check', 'other'];
+
+// Methods that don't need a reference
+const NO_REFERENCE_METHODS = ['cash'];
+
+// How the methods read on receipts
+const METHOD_LABELS = {
+  cash: 'Cash',
+  gcash: 'GCash',
+  maya: 'Maya',
+  grab_pay: 'GrabPay',
+  bank_transfer: 'Bank transfer',
+  card: 'Card',
+  check: 'Check',
+  other: 'Other'
+};
+
+// Payment status: 'pending' → 'cleared' | 'failed'
+const PAYMENT_STATUSES = ['pending', 'cleared', 'failed'];
+
+// Refund status: 'pending' (the provider is on it) → 'succeeded' | 'failed'
+const REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+class PaymentError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function numberSetting(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function recordedBy(user) {
+  return user ? { id: user.id, email: user.email, userType: user.userType } : null;
+}
+
+// The booking's payment summary (see paymentSummary) and payment records
+async function bookingPayments(db, booking, now = new Date()) {
+  const terms = await getTerms(db);
+  const payments = (await db.payments.forBooking(booking))
+    .sort((a, b) => new Date(a.receivedAt) - new Date(b.receivedAt) || a.id - b.id);
+  return { summary: paymentSummary(terms, booking, payments, now), payments };
+}
+
+// Payment summaries of many bookings at once, by booking id
+async function paymentSummaries(db, bookings, now = new Date()) {
+  const terms = await getTerms(db);
+  const payments = await db.payments.all();
+  return new Map(bookings.map(booking => [
+    booking.id,
+    paymentSummary(terms, booking, payments.filter(payment => payment.bookingId === booking.bookingId), now)
+  ]));
+}
+
+// Bring the booking in line with its payments: move it to deposit_paid
+// once the deposit is covered and mark its receipts partly or fully paid.
+// Resolves to the booking's { summary, payments }.
+async function settleBooking(db, bookingId) {
+  let booking = await db.bookings.findById(bookingId);
+  let settled = await bookingPayments(db, booking);
+
+  if (booking.bookingStatus === 'confirmed' && settled.summary.depositPaid) {
+    try {
+      booking = await changeStatus(db, booking.id, 'deposit_paid', { reason: 'Deposit received' });
+      settled = await bookingPayments(db, booking);
+    } catch (error) {
+      // Someone else moved the booking on meanwhile
+      if (!(error instanceof TransitionError)) {
+        throw error;
+      }
+    }
+  }
+
+  const { status } = settled.summary;
+  const paymentStatus = status === 'unpaid' ? 'pending' : status;
+  const hasPaid = settled.payments.some(payment => payment.status === 'cleared');
+  const paymentMethod = paymentMethodLabel(settled.payments);
+  // Receipts marked failed by hand are left alone
+  await db.receipts.mutate(records => {
+    const updatedAt = new Date().toISOString();
+    records
+      .filter(receipt => receipt.bookingId === booking.bookingId &&
+        ['pending', 'partial', 'paid', 'refunded'].includes(receipt.paymentStatus) &&
+        (receipt.paymentStatus !== paymentStatus || (hasPaid && receipt.paymentMethod !== paymentMethod)))
+      .forEach(receipt => Object.assign(receipt, { paymentStatus, updatedAt }, hasPaid ? { paymentMethod } : {}));
+  });
+
+  return settled;
+}
+
+// The methods the booking was paid with, for its receipt (e.g. 'GCash, Cash')
+function paymentMethodLabel(payments) {
+  const methods = [...new Set(payments.filter(payment => payment.status === 'cleared').map(payment => payment.method))];
+  return methods.length > 0 ? methods.map(method => METHOD_LABELS[method] || method).join(', ') : 'Not paid yet';
+}
+
+// Record a payment towards the booking ({ amount, method, reference,
+// status, receivedAt, note, provider, intentReference }). Resolves to the
+// payment; throws a PaymentError when it can't be taken. alreadyTaken is
+// for money a provider has already taken: it is recorded even when the
+// booking was cancelled or is paid up meanwhile, for staff to refund.
+async function recordPayment(db, booking, input, user, { alreadyTaken = false } = {}) {
+  const amount = roundMoney(Number(input.amount));
+  const method = String(input.method || '').trim();
+  const reference = String(input.reference || '').trim();
+  const status = input.status || 'cleared';
+  const receivedAt = input.receivedAt ? new Date(input.receivedAt) : new Date();
+
+  if (booking.bookingStatus === 'cancelled' && !alreadyTaken) {
+    throw new PaymentError('BOOKING_CANCELLED', "Payments can't be taken for a cancelled booking", 409);
+  }
+  if (!(amount > 0)) {
+    throw new PaymentError('INVALID_AMOUNT', 'Please give an amount more than zero', 400);
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new PaymentError('INVALID_METHOD', `Unknown payment method (${PAYMENT_METHODS.join(', ')})`, 400);
+  }
+  if (!reference && !NO_REFERENCE_METHODS.includes(method)) {
+    throw new PaymentError('REFERENCE_REQUIRED', 'Please give the payment reference', 400);
+  }
+  if (!['pending', 'cleared'].includes(status)) {
+    throw new PaymentError('INVALID_STATUS', 'A new payment is either pending or cleared', 400);
+  }
+  if (Number.isNaN(receivedAt.getTime())) {
+    throw new PaymentError('INVALID_DATE', 'Please give a valid payment date', 400);
+  }
+
+  const total = bookingTotal(booking);
+  const now = new Date().toISOString();
+
+  const { payment, problem } = await db.payments.record({
+    bookingId: booking.bookingId,
+    amount,
+    method,
+    reference,
+    status,
+    note: String(input.note || '').trim(),
+    provider: input.provider || null,
+    intentReference: input.intentReference || null,
+    refunds: [],
+    receivedAt: receivedAt.toISOString(),
+    recordedBy: recordedBy(user),
+    clearedAt: status === 'cleared' ? now : null,
+    createdAt: now,
+    updatedAt: now
+  }, records => {
+    if (reference && records.some(other =>
+      other.method === method && other.reference === reference && other.status !== 'failed')) {
+      return new PaymentError('DUPLICATE_REFERENCE', `A ${method} payment with reference ${reference} was already recorded`, 409);
+    }
+
+    const counted = records.filter(other => other.bookingId === booking.bookingId && other.status !== 'failed');
+    const owing = roundMoney(total - counted.reduce((sum, other) => sum + other.amount - refundedAmount(other), 0));
+    if (amount > owing && !alreadyTaken) {
+      return new PaymentError('OVERPAYMENT',
+        `Only ${formatPeso(Math.max(owing, 0))} is left to pay on this booking`, 400);
+    }
+    return null;
+  });
+
+  if (problem) {
+    throw problem;
+  }
+  if (payment.status === 'cleared') {
+    await settleBooking(db, booking.id);
+  }
+  return payment;
+}
+
+// Mark a pending payment cleared or failed. Resolves to the payment, or
+// null when there is no such payment; throws a PaymentError when it isn't
+// pending.
+async function setPaymentStatus(db, id, status, user, note = '') {
+  if (!['cleared', 'failed'].includes(status)) {
+    throw new PaymentError('INVALID_STATUS', 'A payment can only be marked cleared or failed', 400);
+  }
+
+  const payment = await db.payments.update(id, current => {
+    if (current.status !== 'pending') {
+      throw new PaymentError('NOT_PENDING', `This payment is already ${current.status}`, 409);
+    }
+
+    const at = new Date().toISOString();
+    return {
+      ...current,
+      status,
+      clearedAt: status === 'cleared' ? at : null,
+      statusNote: String(note || '').trim(),
+      statusChangedBy: recordedBy(user),
+      updatedAt: at
+    };
+  });
+
+  if (payment && status === 'cleared') {
+    const booking = await db.bookings.findByReference(payment.bookingId);
+    if (booking) {
+      await settleBooking(db, booking.id);
+    }
+  }
+  return payment;
+}
+
+// Refund (part of) a cleared payment ({ amount, reason, idempotencyKey,
+// creditNoteNumber }, the last for refunds a credit note makes). Online payments are refunded through their provider, which may take a
+// while (the refund stays 'pending' until its webhook arrives); others
+// count as refunded at once. A repeated idempotencyKey returns the refund
+// it started instead of refunding twice. Resolves to { payment, refund },
+// or null when there is no such payment; throws a PaymentError when the
+// refund isn't possible.
+async function refundPayment(db, id, { amount, reason, idempotencyKey = '', creditNoteNumber = null }, user) {
+  const wanted = roundMoney(Number(amount));
+  const why = String(reason || '').trim();
+  let refund = null;
+  let started = false;
+
+  const payment = await db.payments.update(id, current => {
+    const earlier = idempotencyKey && (current.refunds || []).find(other => other.idempotencyKey === idempotencyKey);
+    if (earlier) {
+      refund = earlier;
+      return current;
+    }
+
+    if (current.status !== 'cleared') {
+      throw new PaymentError('NOT_CLEARED', `A ${current.status} payment can't be refunded`, 409);
+    }
+    if (!why) {
+      throw new PaymentError('REASON_REQUIRED', 'Please give a reason for the refund', 400);
+    }
+    const refundable = roundMoney(current.amount - (current.refunds || [])
+      .filter(other => other.status !== 'failed')
+      .reduce((sum, other) => sum + other.amount, 0));
+    if (!(wanted > 0) || wanted > refundable) {
+      throw new PaymentError('INVALID_AMOUNT', `Up to ${formatPeso(refundable)} of this payment can be refunded`, 400);
+    }
+
+    const at = new Date().toISOString();
+    refund = {
+      id: `RF-${current.id}-${(current.refunds || []).length + 1}`,
+      amount: wanted,
+      reason: why,
+      status: current.provider ? 'pending' : 'succeeded',
+      refundRef: null,
+      idempotencyKey: idempotencyKey || null,
+      creditNoteNumber,
+      requestedBy: recordedBy(user),
+      requestedAt: at,
+      completedAt: current.provider ? null : at
+    };
+    started = true;
+    return { ...current, refunds: [...(current.refunds || []), refund], updatedAt: at };
+  });
+
+  if (!payment) {
+    return null;
+  }
+  // Started before with this key, or handed back by us
+  if (!started || !payment.provider) {
+    if (started) {
+      await settleRefunded(db, payment, refund);
+    }
+    return { payment, refund };
+  }
+
+  // Through the provider, outside the lock
+  let outcome;
+  try {
+    outcome = await getPaymentProvider().refund({
+      paymentRef: payment.reference,
+      amount: refund.amount,
+      reason: refund.reason,
+      idempotencyKey: refund.id
+    });
+  } catch (error) {
+    await updateRefund(db, payment.id, refund.id, { status: 'failed', error: error.message });
+    if (error instanceof ProviderError) {
+      throw new PaymentError('PROVIDER_ERROR', error.message, error.status);
+    }
+    throw error;
+  }
+
+  const updated = await updateRefund(db, payment.id, refund.id, {
+    refundRef: outcome.refundRef,
+    status: outcome.status,
+    completedAt: outcome.status === 'succeeded' ? new Date().toISOString() : null
+  });
+  if (outcome.status === 'succeeded') {
+    await settleRefunded(db, updated, refund);
+  }
+  return { payment: updated, refund: updated.refunds.find(other => other.id === refund.id) };
+}
+
+// Change a refund of a payment. Resolves to the payment.
+async function updateRefund(db, paymentId, refundId, changes) {
+  return db.payments.update(paymentId, current => ({
+    ...current,
+    refunds: (current.refunds || []).map(refund => (refund.id === refundId ? { ...refund, ...changes } : refund)),
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+// Settle the booking of a payment once a refund of it succeeded. A credit
+// note's refund is taken off what the booking costs (booking.credited)
+// only now, so a refund that fails never counts as credited.
+async function settleRefunded(db, payment, refund) {
+  const booking = await db.bookings.findByReference(payment.bookingId);
+  if (!booking) {
+    return;
+  }
+  if (refund.creditNoteNumber) {
+    await db.bookings.update(booking.id, current => ({
+      ...current,
+      credited: roundMoney((Number(current.credited) || 0) + refund.amount),
+      updatedAt: new Date().toISOString()
+    }));
+  }
+  await settleBooking(db, booking.id);
+}
+
+// Bookings with overdue installments, most overdue first
+async function overdueBookings(db, now = new Date()) {
+  const bookings = await db.bookings.filter(booking => booking.bookingStatus !== 'cancelled');
+  const summaries = await paymentSummaries(db, bookings, now);
+
+  return bookings
+    .filter(booking => summaries.get(booking.id).overdue)
+    .map(booking => {
+      const summary = summaries.get(booking.id);
+      const overdue = summary.installments.filter(installment => installment.status === 'overdue');
+      return {
+        id: booking.id,
+        bookingId: booking.bookingId,
+        customerName: booking.customerName,
+        customerEmail: booking.customerEmail,
+        eventType: booking.eventType,
+        eventDate: booking.eventDate,
+        bookingStatus: booking.bookingStatus,
+        total: summary.total,
+        paid: summary.paid,
+        outstanding: summary.outstanding,
+        overdueAmount: summary.overdueAmount,
+        overdueSince: overdue[0].dueDate,
+        installments: overdue
+      };
+    })
+    .sort((a, b) => a.overdueSince.localeCompare(b.overdueSince) || a.eventDate.localeCompare(b.eventDate));
+}
+
+// Remind customers of overdue installments, once per installment (noted
+// in the booking's paymentReminders). Resolves to the number of mails sent.
+async function sendOverdueReminders(db, now = new Date()) {
+  let sent = 0;
+
+  for (const overdue of await overdueBookings(db, now)) {
+    const booking = await db.bookings.findById(overdue.id);
+    const reminded = booking.paymentReminders || {};
+    const due = overdue.installments.filter(installment => !reminded[`${installment.label}|${installment.dueDate}`]);
+    if (due.length === 0 || !booking.customerEmail) {
+      continue;
+    }
+
+    try {
+      await getMailer().send({
+        to: booking.customerEmail,
+        subject: `Payment overdue for booking ${booking.bookingId}`,
+        text: [
+          `Hi ${booking.customerName || 'there'},`,
+          '',
+          `The following payment${due.length > 1 ? 's are' : ' is'} overdue for your ${booking.eventType} on ${booking.eventDate}:`,
+          ...due.map(installment => `  ${installment.label}: ${formatPeso(installment.remaining)} (due ${installment.dueDate})`),
+          '',
+          `Outstanding balance: ${formatPeso(overdue.outstanding)}`,
+          'Please settle it soon, or contact us if you have already paid.',
+          '',
+          "d'sis Catering"
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error(`Overdue payment mail for booking ${booking.bookingId} failed:`, error);
+      continue;
+    }
+
+    await db.bookings.update(booking.id, current => ({
+      ...current,
+      paymentReminders: {
+        ...(current.paymentReminders || {}),
+        ...Object.fromEntries(due.map(installment => [`${installment.label}|${installment.dueDate}`, now.toISOString()]))
+      }
+    }));
+    sent += 1;
+  }
+  return sent;
+}
+
+// Check for overdue payments every hour or so
+function scheduleOverdueReminders(db, minutes = numberSetting('PAYMENT_REMINDER_CHECK_MINUTES', 60)) {
+  if (minutes <= 0) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    sendOverdueReminders(db)
+      .then(sent => sent && console.log(`💸 Payments: ${sent} overdue reminders sent`))
+      .catch(error => console.error('Overdue payment reminders failed:', error));
+  }, minutes * 60000);
+
+  timer.unref();
+  return timer;
+}
+
+// A deposit paid before we confirmed the booking counts once we do
+onStatusChange(async ({ db, booking, to }) => {
+  if (to === 'confirmed') {
+    await settleBooking(db, booking.id);
+  }
+});
+
+module.exports = {
+  PAYMENT_METHODS,
+  METHOD_LABELS,
+  PAYMENT_STATUSES,
+  REFUND_STATUSES,
+  PaymentError,
+  recordedBy,
+  paymentMethodLabel,
+  bookingPayments,
+  paymentSummaries,
+  settleBooking,
+  recordPayment,
+  setPaymentStatus,
+  refundPayment,
+  updateRefund,
+  settleRefunded,
+  overdueBookings,
+  sendOverdueReminders,
+  scheduleOverdueReminders
+};
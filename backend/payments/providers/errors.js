@@ -0,0 +1,10 @@
+// A payment gateway refused a request or couldn't be reached
+class ProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = { ProviderError };
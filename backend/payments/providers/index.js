@@ -0,0 +1,65 @@
+// Online payment providers.
+// checkout.js calls getPaymentProvider() and never talks to a payment
+// gateway directly. Every provider has the same shape:
+//   name
+//   createCheckout({ reference, amount, description, customer, successUrl,
+//                  cancelUrl, idempotencyKey })
+//     → { providerRef, redirectUrl }: where to send the customer to pay
+//   verifyWebhook(rawBody, headers)
+//     → the event, or null when the signature doesn't check out. Events:
+//       { id, type: 'payment.succeeded', providerRef, paymentRef, amount, method }
+//       { id, type: 'payment.failed', providerRef }
+//       { id, type: 'refund.succeeded' | 'refund.failed', paymentRef, refundRef }
+//       { id, type: 'ignored' } for events we have no use for
+//   refund({ paymentRef, amount, reason, idempotencyKey })
+//     → { refundRef, status: 'pending' | 'succeeded' }
+// Amounts are in pesos; providers convert them as their gateway needs.
+//
+// PAYMENT_PROVIDER selects the provider and has no default, so a deploy
+// can't end up on the simulator by leaving it out:
+//   'paymongo'   PayMongo (GCash, Maya, GrabPay and cards) with
+//                PAYMONGO_SECRET_KEY and PAYMONGO_WEBHOOK_SECRET
+//   'simulator'  a checkout page served by this backend that pays or fails
+//                on a click and sends webhooks signed with
+//                PAYMENT_SIMULATOR_SECRET like a real gateway, for
+//                development and tests without one
+
+const { ProviderError } = require('./errors');
+const { createSimulatorProvider } = require('./simulator');
+const { createPaymongoProvider } = require('./paymongo');
+require('dotenv').config();
+
+let provider = null;
+
+function createPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  switch (name) {
+    case 'simulator':
+      return createSimulatorProvider();
+    case 'paymongo':
+      return createPaymongoProvider();
+    default:
+      throw new Error(name
+        ? `Unknown PAYMENT_PROVIDER "${name}" (expected "paymongo" or "simulator")`
+        : 'PAYMENT_PROVIDER is not set (expected "paymongo" or "simulator")');
+  }
+}
+
+function getPaymentProvider() {
+  if (!provider) {
+    provider = createPaymentProvider();
+  }
+  return provider;
+}
+
+// Use a different provider (e.g. the simulator in tests)
+function setPaymentProvider(paymentProvider) {
+  provider = paymentProvider;
+  return provider;
+}
+
+module.exports = {
+  ProviderError,
+  getPaymentProvider,
+  setPaymentProvider,
+  createPaymentProvider
+};
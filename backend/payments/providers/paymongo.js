@@ -0,0 +1,178 @@
+// PayMongo (https://developers.paymongo.com): GCash, Maya, GrabPay and
+// card payments through hosted checkout sessions.
+//
+//   PAYMONGO_SECRET_KEY       API secret key (sk_test_... or sk_live_...)
+//   PAYMONGO_WEBHOOK_SECRET   secret of the webhook pointed at
+//                             /api/payments/webhooks/paymongo, subscribed to
+//                             checkout_session.payment.paid and
+//                             payment.refund.updated
+//   PAYMONGO_PAYMENT_METHODS  methods offered at checkout (default
+//                             gcash,paymaya,grab_pay,card)
+//
+// PayMongo amounts are in centavos. A failed attempt leaves the checkout
+// session open for the customer to try again, so only paid sessions and
+// refund updates matter here.
+
+const crypto = require('crypto');
+const { ProviderError } = require('./errors');
+
+const API_URL = 'https://api.paymongo.com/v1';
+const SIGNATURE_HEADER = 'paymongo-signature';
+const TOLERANCE_SECONDS = 300;
+
+// PayMongo's payment source types → our payment methods. A type missing
+// here is recorded as 'other' with a warning in the log.
+const METHODS = {
+  gcash: 'gcash',
+  paymaya: 'maya',
+  grab_pay: 'grab_pay',
+  card: 'card',
+  dob: 'bank_transfer',
+  dob_ubp: 'bank_transfer',
+  brankas_bdo: 'bank_transfer',
+  brankas_landbank: 'bank_transfer',
+  brankas_metrobank: 'bank_transfer',
+  billease: 'other',
+  qrph: 'other'
+};
+
+function paymentMethod(type) {
+  if (!METHODS[type]) {
+    console.warn(`PayMongo payment type "${type}" has no payment method; recording it as other`);
+    return 'other';
+  }
+  return METHODS[type];
+}
+
+function toCentavos(amount) {
+  return Math.round(amount * 100);
+}
+
+function fromCentavos(amount) {
+  return Math.round(amount) / 100;
+}
+
+function sameSignature(a, b) {
+  const left = Buffer.from(String(a || ''), 'hex');
+  const right = Buffer.from(String(b || ''), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createPaymongoProvider({
+  secretKey = process.env.PAYMONGO_SECRET_KEY,
+  webhookSecret = process.env.PAYMONGO_WEBHOOK_SECRET,
+  paymentMethods = (process.env.PAYMONGO_PAYMENT_METHODS || 'gcash,paymaya,grab_pay,card').split(',').map(method => method.trim())
+} = {}) {
+  if (!secretKey || !webhookSecret) {
+    throw new Error('PAYMENT_PROVIDER=paymongo needs PAYMONGO_SECRET_KEY and PAYMONGO_WEBHOOK_SECRET');
+  }
+
+  async function request(path, attributes, idempotencyKey) {
+    let response;
+    try {
+      response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Basic ${Buffer.from(`${secretKey}:`).toString('base64')}`,
+          ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+        },
+        body: JSON.stringify({ data: { attributes } })
+      });
+    } catch (error) {
+      throw new ProviderError(`PayMongo could not be reached: ${error.message}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const detail = body.errors && body.errors[0] && body.errors[0].detail;
+      throw new ProviderError(`PayMongo refused the request: ${detail || response.status}`);
+    }
+    return body.data;
+  }
+
+  return {
+    name: 'paymongo',
+
+    async createCheckout({ reference, amount, description, customer = {}, successUrl, cancelUrl, idempotencyKey }) {
+      const session = await request('/checkout_sessions', {
+        line_items: [{ name: description, amount: toCentavos(amount), currency: 'PHP', quantity: 1 }],
+        payment_method_types: paymentMethods,
+        reference_number: reference,
+        description,
+        billing: customer.email ? { name: customer.name || customer.email, email: customer.email } : undefined,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        send_email_receipt: false
+      }, idempotencyKey);
+
+      return { providerRef: session.id, redirectUrl: session.attributes.checkout_url };
+    },
+
+    // 'Paymongo-Signature: t=<unix time>,te=<test mode hex>,li=<live mode hex>',
+    // each the HMAC-SHA256 of '<t>.<raw body>'
+    verifyWebhook(rawBody, headers) {
+      const parts = Object.fromEntries(String(headers[SIGNATURE_HEADER] || '').split(',')
+        .map(part => part.split('=').map(value => value.trim())));
+      const timestamp = parseInt(parts.t);
+      if (Number.isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+        return null;
+      }
+
+      const payload = JSON.parse(rawBody);
+      const attributes = payload.data && payload.data.attributes;
+      if (!attributes) {
+        return null;
+      }
+      const expected = crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${rawBody}`).digest('hex');
+      if (!sameSignature(attributes.livemode ? parts.li : parts.te, expected)) {
+        return null;
+      }
+
+      const resource = attributes.data || {};
+      switch (attributes.type) {
+        case 'checkout_session.payment.paid': {
+          const payment = (resource.attributes.payments || [])[0] || { attributes: {} };
+          const source = payment.attributes.source || {};
+          return {
+            id: payload.data.id,
+            type: 'payment.succeeded',
+            providerRef: resource.id,
+            paymentRef: payment.id,
+            amount: fromCentavos(payment.attributes.amount || 0),
+            method: paymentMethod(source.type)
+          };
+        }
+        case 'payment.refund.updated': {
+          const status = resource.attributes.status;
+          if (status !== 'succeeded' && status !== 'failed') {
+            return { id: payload.data.id, type: 'ignored' };
+          }
+          return {
+            id: payload.data.id,
+            type: `refund.${status}`,
+            paymentRef: resource.attributes.payment_id,
+            refundRef: resource.id
+          };
+        }
+        default:
+          return { id: payload.data.id, type: 'ignored' };
+      }
+    },
+
+    async refund({ paymentRef, amount, reason, idempotencyKey }) {
+      const refund = await request('/refunds', {
+        amount: toCentavos(amount),
+        payment_id: paymentRef,
+        reason: 'requested_by_customer',
+        notes: reason
+      }, idempotencyKey);
+
+      return { refundRef: refund.id, status: refund.attributes.status === 'succeeded' ? 'succeeded' : 'pending' };
+    }
+  };
+}
+
+module.exports = {
+  createPaymongoProvider
+};
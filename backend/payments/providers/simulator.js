@@ -0,0 +1,96 @@
+// Payment simulator: stands in for a payment gateway during development
+// and tests. Checkout sends the customer to a page this backend serves
+// (routes/payments.js, /api/payments/simulator/checkout/:providerRef)
+// where they choose to pay or fail; the outcome comes back as a webhook
+// signed with PAYMENT_SIMULATOR_SECRET, the way a real gateway sends it,
+// so webhook handling and idempotency can be tried out offline. Refunds
+// succeed at once.
+//
+// Webhooks carry an 'X-Simulator-Signature: t=<unix time>,v1=<hex>' header,
+// v1 being the HMAC-SHA256 of '<t>.<raw body>'.
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-simulator-signature';
+
+// Older signatures are refused, so a captured webhook can't be replayed later
+const TOLERANCE_SECONDS = 300;
+
+function randomRef(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function signature(secret, rawBody, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Constant-time comparison of two hex signatures
+function sameSignature(a, b) {
+  const left = Buffer.from(String(a || ''), 'hex');
+  const right = Buffer.from(String(b || ''), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createSimulatorProvider({
+  secret = process.env.PAYMENT_SIMULATOR_SECRET,
+  baseUrl = process.env.PAYMENT_SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/simulator`,
+  // The webhook route next to the simulator's pages, /api/payments/webhooks/simulator
+  webhookUrl = new URL('../webhooks/simulator', `${baseUrl}/`).href
+} = {}) {
+  if (!secret) {
+    throw new Error('PAYMENT_PROVIDER=simulator needs PAYMENT_SIMULATOR_SECRET');
+  }
+
+  return {
+    name: 'simulator',
+
+    async createCheckout() {
+      const providerRef = randomRef('sim_cs');
+      return { providerRef, redirectUrl: `${baseUrl}/checkout/${providerRef}` };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      const parts = Object.fromEntries(String(headers[SIGNATURE_HEADER] || '').split(',')
+        .map(part => part.split('=').map(value => value.trim())));
+      const timestamp = parseInt(parts.t);
+
+      if (Number.isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+        return null;
+      }
+      if (!sameSignature(parts.v1, signature(secret, rawBody, timestamp))) {
+        return null;
+      }
+      // Simulator events are already in the provider event shape
+      return JSON.parse(rawBody);
+    },
+
+    async refund() {
+      return { refundRef: randomRef('sim_ref'), status: 'succeeded' };
+    },
+
+    // Simulator only: the webhook for the customer's choice on the
+    // checkout page ({ outcome: 'paid' | 'failed', providerRef, amount,
+    // method }), signed and sent to webhookUrl like the gateway would
+    async sendOutcome({ outcome, providerRef, amount, method }) {
+      const event = outcome === 'paid'
+        ? { id: randomRef('sim_evt'), type: 'payment.succeeded', providerRef, paymentRef: randomRef('sim_pay'), amount, method }
+        : { id: randomRef('sim_evt'), type: 'payment.failed', providerRef };
+      const rawBody = JSON.stringify(event);
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature(secret, rawBody, timestamp)}`
+        },
+        body: rawBody
+      });
+      return { event, delivered: response.ok };
+    }
+  };
+}
+
+module.exports = {
+  createSimulatorProvider
+};
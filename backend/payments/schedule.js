@@ -0,0 +1,231 @@
+// Payment schedules: what a booking's customer pays, and when.
+//
+// A booking is paid in installments, each a percentage of the booking
+// total (with VAT, as on the receipt). Unless staff give a booking its own
+// schedule (booking.paymentSchedule: [{ label, percent, dueDate }]), it
+// follows the 'paymentTerms' setting, which defaults to DEFAULT_TERMS:
+//   depositPercent        the deposit, due depositDueDays after we confirm
+//                         the booking (0 for no deposit)
+//   balanceDueDaysBefore  the rest is due this many days before the event
+//
+// The first installment is the deposit: once cleared payments cover it a
+// confirmed booking moves on to deposit_paid (see ledger.js). Cleared
+// payments, less what was refunded of them, pay the installments off in
+// order; once the booking is
+// confirmed an installment past its due date and not paid off is overdue.
+
+const { roundMoney, TAX_RATE } = require('../pricing');
+const { localDate } = require('../bookings/availability');
+
+const SETTING_KEY = 'paymentTerms';
+
+const DEFAULT_TERMS = {
+  depositPercent: 50,
+  depositDueDays: 3,
+  balanceDueDaysBefore: 7
+};
+
+// Bookings whose payments aren't chased: not confirmed yet, or cancelled
+const UNCHASED_STATUSES = ['pending', 'cancelled'];
+
+async function getTerms(db) {
+  return { ...DEFAULT_TERMS, ...(await db.settings.getValue(SETTING_KEY, {})) };
+}
+
+async function saveTerms(db, terms) {
+  return db.settings.setValue(SETTING_KEY, terms);
+}
+
+// What the customer pays for the booking, VAT included, less what credit
+// notes have taken off it (booking.credited, see credit-notes.js)
+function bookingTotal(booking) {
+  const subtotal = Number(booking.totalAmount) || 0;
+  const credited = Number(booking.credited) || 0;
+  return roundMoney(Math.max(subtotal + roundMoney(subtotal * TAX_RATE) - credited, 0));
+}
+
+function addDays(date, days) {
+  const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+}
+
+// What was refunded of a payment
+function refundedAmount(payment) {
+  return roundMoney((payment.refunds || [])
+    .filter(refund => refund.status === 'succeeded')
+    .reduce((sum, refund) => sum + refund.amount, 0));
+}
+
+// What a payment counts for: nothing until it clears, less refunds
+function paidAmount(payment) {
+  return payment.status === 'cleared' ? roundMoney(payment.amount - refundedAmount(payment)) : 0;
+}
+
+// When we confirmed the booking (YYYY-MM-DD), or null while it's pending
+function confirmedOn(booking) {
+  const entry = (booking.statusHistory || []).find(change => change.to === 'confirmed');
+  if (entry) {
+    return entry.at.slice(0, 10);
+  }
+  return (booking.bookingStatus || 'pending') === 'pending' ? null : (booking.createdAt || '').slice(0, 10) || null;
+}
+
+// The booking's installments [{ label, percent, dueDate }]. The deposit has
+// no due date until the booking is confirmed.
+function installmentsFor(terms, booking) {
+  if (Array.isArray(booking.paymentSchedule) && booking.paymentSchedule.length > 0) {
+    return booking.paymentSchedule;
+  }
+
+  const confirmed = confirmedOn(booking);
+  const depositDue = confirmed && addDays(confirmed, terms.depositDueDays);
+  let balanceDue = addDays(booking.eventDate, -terms.balanceDueDaysBefore);
+  if (depositDue && depositDue > balanceDue) {
+    balanceDue = depositDue;
+  }
+
+  if (!(terms.depositPercent > 0)) {
+    return [{ label: 'Full payment', percent: 100, dueDate: balanceDue }];
+  }
+  if (terms.depositPercent >= 100) {
+    return [{ label: 'Full payment', percent: 100, dueDate: depositDue }];
+  }
+  return [
+    { label: `Deposit (${terms.depositPercent}%)`, percent: terms.depositPercent, dueDate: depositDue },
+    { label: 'Balance', percent: 100 - terms.depositPercent, dueDate: balanceDue }
+  ];
+}
+
+// Where the booking's payments stand: the total, what cleared payments
+// have paid, what is still outstanding and each installment's share of
+// it. payments are the booking's payment records.
+function paymentSummary(terms, booking, payments, now = new Date()) {
+  const today = localDate(now);
+  const total = bookingTotal(booking);
+  const sum = (records, amountOf) => roundMoney(records.reduce((amount, payment) => amount + amountOf(payment), 0));
+  const paid = sum(payments, paidAmount);
+  const refunded = sum(payments, refundedAmount);
+  const credited = roundMoney(Number(booking.credited) || 0);
+  const chased = !UNCHASED_STATUSES.includes(booking.bookingStatus || 'pending');
+
+  // Amounts from percentages; the last installment takes the rounding
+  const schedule = installmentsFor(terms, booking);
+  let allotted = 0;
+  let left = paid;
+  const installments = schedule.map((installment, index) => {
+    const amount = index === schedule.length - 1
+      ? roundMoney(total - allotted)
+      : roundMoney(total * installment.percent / 100);
+    allotted = roundMoney(allotted + amount);
+
+    const covered = roundMoney(Math.min(Math.max(left, 0), amount));
+    left = roundMoney(left - covered);
+    const remaining = roundMoney(amount - covered);
+
+    let status = 'upcoming';
+    if (remaining <= 0) {
+      status = 'paid';
+    } else if (chased && installment.dueDate && installment.dueDate < today) {
+      status = 'overdue';
+    } else if (covered > 0) {
+      status = 'partly_paid';
+    }
+
+    return { ...installment, amount, paid: covered, remaining, status };
+  });
+
+  const overdue = installments.filter(installment => installment.status === 'overdue');
+  const nextDue = installments.find(installment => installment.remaining > 0) || null;
+
+  return {
+    total,
+    paid,
+    awaitingClearance: sum(payments.filter(payment => payment.status === 'pending'), payment => payment.amount),
+    refunded,
+    credited,
+    outstanding: roundMoney(Math.max(total - paid, 0)),
+    overpaid: roundMoney(Math.max(paid - total, 0)),
+    depositPaid: installments.length > 0 && installments[0].remaining <= 0,
+    status: credited > 0 && total <= 0 ? 'refunded'
+      : paid >= total ? 'paid' : paid > 0 ? 'partial' : refunded > 0 ? 'refunded' : 'unpaid',
+    installments,
+    overdue: overdue.length > 0,
+    overdueAmount: roundMoney(overdue.reduce((amount, installment) => amount + installment.remaining, 0)),
+    nextDue: nextDue && { label: nextDue.label, amount: nextDue.remaining, dueDate: nextDue.dueDate }
+  };
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A booking's own schedule from a staff member's request body
+// ({ installments: [{ label, percent, dueDate }] }). The percentages must
+// add up to 100. Returns { installments } or { error }.
+function parseSchedule(body) {
+  if (!Array.isArray(body.installments) || body.installments.length === 0) {
+    return { error: 'A payment schedule needs at least one installment' };
+  }
+
+  const installments = [];
+  for (const [index, input] of body.installments.entries()) {
+    const label = String((input && input.label) || '').trim() || `Installment ${index + 1}`;
+    const percent = Number(input && input.percent);
+    const dueDate = input && input.dueDate;
+
+    if (!(percent > 0 && percent <= 100)) {
+      return { error: `${label}: the percentage must be more than 0 and at most 100` };
+    }
+    if (!DATE_PATTERN.test(dueDate || '') || Number.isNaN(Date.parse(dueDate))) {
+      return { error: `${label}: please give a due date (YYYY-MM-DD)` };
+    }
+    if (installments.length > 0 && dueDate < installments[installments.length - 1].dueDate) {
+      return { error: 'Installments must be in order of their due dates' };
+    }
+    installments.push({ label, percent, dueDate });
+  }
+
+  const totalPercent = roundMoney(installments.reduce((sum, installment) => sum + installment.percent, 0));
+  if (totalPercent !== 100) {
+    return { error: `The installments add up to ${totalPercent}%, not 100%` };
+  }
+  return { installments };
+}
+
+// Payment terms from an admin's request body, on top of the current
+// terms. Returns { terms } or { error }.
+function parseTerms(body, current) {
+  const terms = { ...current };
+  const wholeNumber = value => Number.isInteger(Number(value)) && Number(value) >= 0;
+
+  if (body.depositPercent !== undefined) {
+    const percent = Number(body.depositPercent);
+    if (!(percent >= 0 && percent <= 100)) {
+      return { error: 'The deposit must be between 0% and 100%' };
+    }
+    terms.depositPercent = percent;
+  }
+
+  for (const key of ['depositDueDays', 'balanceDueDaysBefore']) {
+    if (body[key] !== undefined) {
+      if (!wholeNumber(body[key])) {
+        return { error: 'Due dates must be a whole number of days' };
+      }
+      terms[key] = Number(body[key]);
+    }
+  }
+
+  return { terms };
+}
+
+module.exports = {
+  DEFAULT_TERMS,
+  getTerms,
+  saveTerms,
+  parseTerms,
+  parseSchedule,
+  bookingTotal,
+  refundedAmount,
+  paidAmount,
+  installmentsFor,
+  paymentSummary
+};
@@ -0,0 +1,147 @@
+// Booking prices.
+// Bookings are priced here from the menu alone: prices, totals or names sent
+// by the client are ignored. priceBooking() returns the breakdown the
+// frontend shows, or throws a PricingError listing every requested item
+// that can't be booked. Discounts (the effects of the offer booked from and
+// a redeemed promo code) are listed in the breakdown and taken off before
+// VAT.
+
+const { roundMoney } = require('./money');
+const { promoDiscountAmount } = require('./promo-codes');
+const { applyOffer } = require('./offers');
+
+const TAX_RATE = 0.12; // 12% VAT, added on the receipt
+
+// problems: [{ index, itemId, reason, message }], reason being one of
+// 'no_items', 'unknown_item', 'unavailable' or 'invalid_quantity'
+class PricingError extends Error {
+  constructor(problems) {
+    super('Some menu items cannot be booked');
+    this.name = 'PricingError';
+    this.code = 'INVALID_MENU_ITEMS';
+    this.problems = problems;
+  }
+}
+
+// Booking lines of the requested [{ itemId, quantity }]
+function priceItems(menu, requested) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new PricingError([{ index: null, itemId: null, reason: 'no_items', message: 'Select at least one menu item' }]);
+  }
+
+  const problems = [];
+  const items = [];
+
+  requested.forEach((entry, index) => {
+    const itemId = parseInt(entry && entry.itemId);
+    const quantity = Number(entry && entry.quantity);
+    const menuItem = menu.find(m => m.id === itemId);
+
+    if (!menuItem) {
+      problems.push({ index, itemId: entry && entry.itemId, reason: 'unknown_item', message: 'This item is not on the menu' });
+      return;
+    }
+    if (menuItem.isAvailable === false) {
+      problems.push({ index, itemId, reason: 'unavailable', message: `${menuItem.itemName} is not available at the moment` });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      problems.push({ index, itemId, reason: 'invalid_quantity', message: `Quantity of ${menuItem.itemName} must be a whole number above zero` });
+      return;
+    }
+
+    const unitPrice = Number(menuItem.pricePerServing) || 0;
+    items.push({
+      itemId,
+      itemName: menuItem.itemName,
+      quantity,
+      unitPrice,
+      totalPrice: roundMoney(unitPrice * quantity)
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new PricingError(problems);
+  }
+  return items;
+}
+
+// Discount line of a promo code on a subtotal
+function promoDiscount(promoCode, subtotal) {
+  const fixed = promoCode.discountType === 'fixed';
+  return {
+    type: 'promo',
+    code: promoCode.code,
+    description: promoCode.description || '',
+    discountType: fixed ? 'fixed' : 'percent',
+    percent: fixed ? null : promoCode.discountPercent,
+    amount: roundMoney(promoDiscountAmount(promoCode, subtotal))
+  };
+}
+
+function sumOf(lines, field) {
+  return roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+}
+
+// Price breakdown of a booking request ({ menuItems, numGuests }), with the
+// effects of offer and the discount of promoCode (already validated
+// records) if given, stacked as the offer's promoStacking says. offer and
+// promoCode in the result are what ended up applied (with 'best' only one
+// of them is). totalAmount is what the booking costs before VAT; the
+// receipt adds the VAT shown here.
+function priceBooking(menu, { menuItems, numGuests }, { promoCode = null, offer = null } = {}) {
+  let items = priceItems(menu, menuItems);
+  const subtotal = sumOf(items, 'totalPrice');
+
+  let discounts = [];
+  let appliedOffer = null;
+  if (offer) {
+    const effects = applyOffer(offer, { items, subtotal, numGuests, menu });
+    discounts = effects.discounts;
+    items = [...items, ...effects.freeItems];
+    appliedOffer = offer;
+  }
+
+  let appliedPromo = null;
+  const stacking = offer ? offer.promoStacking || 'combine' : 'combine';
+  if (promoCode && stacking !== 'none') {
+    if (stacking === 'best' && appliedOffer) {
+      // Free items count for the offer at their menu price
+      const offerValue = sumOf(discounts, 'amount') +
+        items.filter(item => item.offerId).reduce((sum, item) => sum + item.regularPrice * item.quantity, 0);
+      const promoLine = promoDiscount(promoCode, subtotal);
+      if (promoLine.amount > offerValue) {
+        discounts = [promoLine];
+        items = items.filter(item => !item.offerId);
+        appliedOffer = null;
+        appliedPromo = promoCode;
+      }
+    } else {
+      discounts.push(promoDiscount(promoCode, roundMoney(subtotal - sumOf(discounts, 'amount'))));
+      appliedPromo = promoCode;
+    }
+  }
+
+  const totalAmount = roundMoney(Math.max(0, subtotal - sumOf(discounts, 'amount')));
+  const taxAmount = roundMoney(totalAmount * TAX_RATE);
+
+  return {
+    items,
+    subtotal,
+    discounts,
+    offer: appliedOffer ? { id: appliedOffer.id, title: appliedOffer.title } : null,
+    promoCode: appliedPromo ? appliedPromo.code : null,
+    totalAmount,
+    taxRate: TAX_RATE,
+    taxAmount,
+    totalWithTax: roundMoney(totalAmount + taxAmount)
+  };
+}
+
+module.exports = {
+  priceBooking,
+  priceItems,
+  roundMoney,
+  PricingError,
+  TAX_RATE
+};
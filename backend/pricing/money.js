@@ -0,0 +1,15 @@
+// Money helpers shared by the pricing modules
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// e.g. ₱12,500.00, for messages and descriptions
+function formatPeso(amount) {
+  return `₱${Number(amount).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+module.exports = {
+  roundMoney,
+  formatPeso
+};
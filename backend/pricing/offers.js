@@ -0,0 +1,227 @@
+// Limited offers (db.offers) and what they do to a booking's price.
+//
+// An offer's effects are applied in order when a booking is made from it
+// (book.html?offerId=...):
+//   { type: 'percent_off', percent, maxAmount }  percent off, optionally capped
+//   { type: 'fixed_off', amount }                fixed amount off
+//   { type: 'per_guest', amount }                amount off per guest
+//   { type: 'bundle', itemIds, price }           the listed menu items cost
+//                                                price per set when booked together
+//   { type: 'free_item', itemId, quantity }      menu item added free
+// Each discount is taken from what is left of the subtotal, so a booking
+// never goes below zero.
+//
+// promoStacking says what happens to a promo code booked with the offer:
+//   'combine'  both apply, the promo code on the subtotal after the offer
+//   'best'     only the one that takes off more
+//   'none'     promo codes can't be used with the offer
+
+const { roundMoney, formatPeso } = require('./money');
+
+const EFFECT_TYPES = ['percent_off', 'fixed_off', 'per_guest', 'bundle', 'free_item'];
+const PROMO_STACKING = ['combine', 'best', 'none'];
+
+function problem(reason, error) {
+  return { reason, error };
+}
+
+// Why a booking can't be made from the offer, as { reason, error }, or null
+function offerProblem(offer, now = new Date()) {
+  if (!offer) {
+    return problem('NOT_FOUND', 'This offer does not exist');
+  }
+  if (!offer.active) {
+    return problem('INACTIVE', 'This offer is no longer available');
+  }
+  if (offer.startAt && new Date(offer.startAt) > now) {
+    return problem('NOT_STARTED', 'This offer has not started yet');
+  }
+  if (offer.endAt && new Date(offer.endAt) < now) {
+    return problem('EXPIRED', 'This offer has ended');
+  }
+  return null;
+}
+
+// Short text of an effect, e.g. "10% off (up to ₱5,000.00)"
+function describeEffect(effect, menu = []) {
+  const itemName = id => {
+    const item = menu.find(m => m.id === id);
+    return item ? item.itemName : `item #${id}`;
+  };
+
+  switch (effect.type) {
+    case 'percent_off':
+      return effect.maxAmount
+        ? `${effect.percent}% off (up to ${formatPeso(effect.maxAmount)})`
+        : `${effect.percent}% off`;
+    case 'fixed_off':
+      return `${formatPeso(effect.amount)} off`;
+    case 'per_guest':
+      return `${formatPeso(effect.amount)} off per guest`;
+    case 'bundle':
+      return `${effect.itemIds.map(itemName).join(' + ')} for ${formatPeso(effect.price)}`;
+    case 'free_item':
+      return `Free ${itemName(effect.itemId)}${effect.quantity > 1 ? ` × ${effect.quantity}` : ''}`;
+    default:
+      return '';
+  }
+}
+
+// Discount lines and free item lines of an offer on priced booking items.
+// Returns { discounts, freeItems }.
+function applyOffer(offer, { items, subtotal, numGuests, menu }) {
+  const discounts = [];
+  const freeItems = [];
+  let remaining = subtotal;
+
+  const discount = (effect, amount) => {
+    const taken = roundMoney(Math.max(0, Math.min(amount, remaining)));
+    if (taken > 0) {
+      remaining = roundMoney(remaining - taken);
+      discounts.push({
+        type: 'offer',
+        offerId: offer.id,
+        title: offer.title,
+        effect: effect.type,
+        description: describeEffect(effect, menu),
+        amount: taken
+      });
+    }
+  };
+
+  (offer.effects || []).forEach(effect => {
+    switch (effect.type) {
+      case 'percent_off': {
+        const amount = remaining * (effect.percent / 100);
+        discount(effect, effect.maxAmount ? Math.min(amount, effect.maxAmount) : amount);
+        break;
+      }
+      case 'fixed_off':
+        discount(effect, effect.amount);
+        break;
+      case 'per_guest':
+        discount(effect, (parseInt(numGuests) || 0) * effect.amount);
+        break;
+      case 'bundle': {
+        // Complete sets of the bundle's items in the booking
+        const lines = effect.itemIds.map(id => items.find(item => item.itemId === id));
+        if (lines.some(line => !line)) break;
+        const sets = Math.min(...lines.map(line => line.quantity));
+        const setPrice = lines.reduce((sum, line) => sum + line.unitPrice, 0);
+        discount(effect, sets * (setPrice - effect.price));
+        break;
+      }
+      case 'free_item': {
+        // Left out when the item isn't on the menu (any more)
+        const menuItem = menu.find(m => m.id === effect.itemId);
+        if (!menuItem || menuItem.isAvailable === false) break;
+        freeItems.push({
+          itemId: menuItem.id,
+          itemName: menuItem.itemName,
+          quantity: effect.quantity,
+          unitPrice: 0,
+          totalPrice: 0,
+          regularPrice: Number(menuItem.pricePerServing) || 0,
+          offerId: offer.id
+        });
+        break;
+      }
+    }
+  });
+
+  return { discounts, freeItems };
+}
+
+// Effects and promo stacking of an offer from an admin's request body, the
+// menu items checked against menu. Returns { fields } with only the
+// fields present in body, or { error }.
+function parseOfferFields(body, menu) {
+  const fields = {};
+
+  if (body.promoStacking !== undefined) {
+    if (!PROMO_STACKING.includes(body.promoStacking)) {
+      return { error: `Promo stacking must be one of ${PROMO_STACKING.join(', ')}` };
+    }
+    fields.promoStacking = body.promoStacking;
+  }
+
+  if (body.effects !== undefined) {
+    if (!Array.isArray(body.effects)) {
+      return { error: 'Effects must be a list' };
+    }
+
+    const onMenu = id => menu.some(item => item.id === id);
+    const effects = [];
+
+    for (const [index, input] of body.effects.entries()) {
+      const number = `Effect ${index + 1}`;
+      if (!input || !EFFECT_TYPES.includes(input.type)) {
+        return { error: `${number}: type must be one of ${EFFECT_TYPES.join(', ')}` };
+      }
+
+      switch (input.type) {
+        case 'percent_off': {
+          const percent = Number(input.percent);
+          if (!(percent > 0 && percent <= 100)) {
+            return { error: `${number}: percentage must be between 1 and 100` };
+          }
+          const maxAmount = input.maxAmount ? Number(input.maxAmount) : null;
+          if (maxAmount !== null && !(maxAmount > 0)) {
+            return { error: `${number}: maximum amount must be above zero` };
+          }
+          effects.push({ type: 'percent_off', percent, maxAmount });
+          break;
+        }
+        case 'fixed_off':
+        case 'per_guest': {
+          const amount = Number(input.amount);
+          if (!(amount > 0)) {
+            return { error: `${number}: amount must be above zero` };
+          }
+          effects.push({ type: input.type, amount });
+          break;
+        }
+        case 'bundle': {
+          const itemIds = [...new Set((input.itemIds || []).map(id => parseInt(id)))];
+          const price = Number(input.price);
+          if (itemIds.length < 2) {
+            return { error: `${number}: a bundle needs at least two menu items` };
+          }
+          if (!itemIds.every(onMenu)) {
+            return { error: `${number}: bundle items must be on the menu` };
+          }
+          if (!(price > 0)) {
+            return { error: `${number}: bundle price must be above zero` };
+          }
+          effects.push({ type: 'bundle', itemIds, price });
+          break;
+        }
+        case 'free_item': {
+          const itemId = parseInt(input.itemId);
+          const quantity = input.quantity === undefined ? 1 : Number(input.quantity);
+          if (!onMenu(itemId)) {
+            return { error: `${number}: the free item must be on the menu` };
+          }
+          if (!Number.isInteger(quantity) || quantity <= 0) {
+            return { error: `${number}: quantity must be a whole number above zero` };
+          }
+          effects.push({ type: 'free_item', itemId, quantity });
+          break;
+        }
+      }
+    }
+
+    fields.effects = effects;
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  PROMO_STACKING,
+  offerProblem,
+  describeEffect,
+  applyOffer,
+  parseOfferFields
+};
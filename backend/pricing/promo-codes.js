@@ -0,0 +1,223 @@
+// Promo code rules, shared by POST /api/promo-codes/validate (checking a
+// code in the booking form) and POST /api/bookings (redeeming it).
+//
+// A code takes off a percentage (discountType 'percent', discountPercent)
+// or a fixed amount (discountType 'fixed', discountAmount). Its optional
+// rules:
+//   minSubtotal       least subtotal (before discounts) the code needs
+//   maxDiscount       cap on the amount taken off
+//   eventTypes        event types the code is for (empty: any)
+//   eventDateFrom/To  window the event date must fall in (YYYY-MM-DD)
+//   perCustomerLimit  times one customer may use the code
+//   newCustomersOnly  only for a customer's first booking
+
+const { formatPeso } = require('./money');
+
+const EVENT_TYPES = ['wedding', 'debut', 'corporate', 'anniversary', 'christening', 'birthday', 'graduation', 'reunion', 'other'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function problem(reason, error) {
+  return { reason, error };
+}
+
+// Times the customer has a (not given back) use of the code
+function customerUses(promoCode, userId) {
+  return (promoCode.redemptions || []).filter(r => r.userId === userId && !r.releasedAt).length;
+}
+
+// Why the promo code can't be used, as { reason, error }, or null when it
+// can. context holds what is known about the booking: subtotal, eventType,
+// eventDate, offer (booked from), userId and customerBookings (the
+// customer's earlier bookings that weren't cancelled). Rules about something not in the context are
+// skipped, e.g. at /validate before a menu is picked; the booking itself
+// always has all of it.
+function promoCodeProblem(promoCode, context = {}) {
+  const now = context.now || new Date();
+
+  if (!promoCode) {
+    return problem('NOT_FOUND', 'Invalid promo code');
+  }
+  if (!promoCode.active) {
+    return problem('INACTIVE', 'Promo code is no longer active');
+  }
+  if (promoCode.startAt && new Date(promoCode.startAt) > now) {
+    return problem('NOT_STARTED', 'Promo code is not yet active');
+  }
+  if (promoCode.endAt && new Date(promoCode.endAt) < now) {
+    return problem('EXPIRED', 'Promo code has expired');
+  }
+  if (promoCode.usageLimit && (promoCode.usageCount || 0) >= promoCode.usageLimit) {
+    return problem('USAGE_LIMIT', 'Promo code usage limit reached');
+  }
+
+  if (context.offer && context.offer.promoStacking === 'none') {
+    return problem('OFFER_EXCLUSIVE', `Promo codes can't be used with the "${context.offer.title}" offer`);
+  }
+
+  const rules = promoCode.rules || {};
+
+  if (context.eventType && rules.eventTypes && rules.eventTypes.length > 0 &&
+      !rules.eventTypes.includes(String(context.eventType).toLowerCase())) {
+    return problem('EVENT_TYPE', `This code is only for ${rules.eventTypes.join(', ')} events`);
+  }
+
+  if (context.eventDate) {
+    if (rules.eventDateFrom && context.eventDate < rules.eventDateFrom) {
+      return problem('EVENT_DATE', rules.eventDateTo
+        ? `This code is only for events from ${rules.eventDateFrom} to ${rules.eventDateTo}`
+        : `This code is only for events from ${rules.eventDateFrom}`);
+    }
+    if (rules.eventDateTo && context.eventDate > rules.eventDateTo) {
+      return problem('EVENT_DATE', rules.eventDateFrom
+        ? `This code is only for events from ${rules.eventDateFrom} to ${rules.eventDateTo}`
+        : `This code is only for events until ${rules.eventDateTo}`);
+    }
+  }
+
+  if (context.subtotal !== undefined && rules.minSubtotal && context.subtotal < rules.minSubtotal) {
+    return problem('MIN_SUBTOTAL', `This code needs a subtotal of at least ${formatPeso(rules.minSubtotal)}`);
+  }
+
+  if (context.userId !== undefined) {
+    if (rules.perCustomerLimit && customerUses(promoCode, context.userId) >= rules.perCustomerLimit) {
+      return problem('CUSTOMER_LIMIT', rules.perCustomerLimit === 1
+        ? 'You have already used this code'
+        : `You have already used this code ${rules.perCustomerLimit} times`);
+    }
+    if (rules.newCustomersOnly && context.customerBookings > 0) {
+      return problem('NEW_CUSTOMERS_ONLY', 'This code is only for your first booking');
+    }
+  }
+
+  return null;
+}
+
+// Amount the code takes off a subtotal (not rounded)
+function promoDiscountAmount(promoCode, subtotal) {
+  const rules = promoCode.rules || {};
+  let amount = promoCode.discountType === 'fixed'
+    ? Number(promoCode.discountAmount) || 0
+    : subtotal * ((Number(promoCode.discountPercent) || 0) / 100);
+
+  if (rules.maxDiscount) {
+    amount = Math.min(amount, rules.maxDiscount);
+  }
+  return Math.max(0, Math.min(amount, subtotal));
+}
+
+// promoCodeProblem context for a request: the logged in customer, if any,
+// and what is known about the booking ({ subtotal, eventType, eventDate,
+// offer })
+async function promoContext(db, user, booking = {}) {
+  const context = {};
+  Object.keys(booking).forEach(key => {
+    if (booking[key] !== undefined && booking[key] !== null && booking[key] !== '') {
+      context[key] = booking[key];
+    }
+  });
+
+  if (user) {
+    context.userId = user.id;
+    context.customerBookings = await db.bookings.count(b =>
+      db.bookings.belongsTo(b, user) && b.bookingStatus !== 'cancelled');
+  }
+  return context;
+}
+
+// Discount and rule fields of a promo code from an admin's request body.
+// Returns { fields } with only the fields present in body, or
+// { error }.
+function parsePromoCodeFields(body) {
+  const fields = {};
+
+  if (body.discountType !== undefined) {
+    if (!['percent', 'fixed'].includes(body.discountType)) {
+      return { error: 'Discount type must be "percent" or "fixed"' };
+    }
+    fields.discountType = body.discountType;
+  }
+  if (body.discountPercent !== undefined && body.discountPercent !== null && body.discountPercent !== '') {
+    const percent = parseInt(body.discountPercent);
+    if (!(percent >= 1 && percent <= 100)) {
+      return { error: 'Discount percentage must be between 1 and 100' };
+    }
+    fields.discountPercent = percent;
+  }
+  if (body.discountAmount !== undefined && body.discountAmount !== null && body.discountAmount !== '') {
+    const amount = Number(body.discountAmount);
+    if (!(amount > 0)) {
+      return { error: 'Discount amount must be above zero' };
+    }
+    fields.discountAmount = amount;
+  }
+
+  if (body.rules !== undefined) {
+    const input = body.rules || {};
+    const rules = {
+      minSubtotal: null,
+      maxDiscount: null,
+      eventTypes: [],
+      eventDateFrom: null,
+      eventDateTo: null,
+      perCustomerLimit: null,
+      newCustomersOnly: Boolean(input.newCustomersOnly)
+    };
+
+    for (const key of ['minSubtotal', 'maxDiscount']) {
+      if (input[key] !== undefined && input[key] !== null && input[key] !== '') {
+        const amount = Number(input[key]);
+        if (!(amount > 0)) {
+          return { error: `${key === 'minSubtotal' ? 'Minimum subtotal' : 'Maximum discount'} must be above zero` };
+        }
+        rules[key] = amount;
+      }
+    }
+
+    if (input.perCustomerLimit !== undefined && input.perCustomerLimit !== null && input.perCustomerLimit !== '') {
+      const limit = parseInt(input.perCustomerLimit);
+      if (!(limit >= 1)) {
+        return { error: 'Uses per customer must be at least 1' };
+      }
+      rules.perCustomerLimit = limit;
+    }
+
+    const eventTypes = (Array.isArray(input.eventTypes) ? input.eventTypes : [])
+      .map(type => String(type).trim().toLowerCase())
+      .filter(Boolean);
+    const unknown = eventTypes.filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return { error: `Unknown event type: ${unknown.join(', ')}` };
+    }
+    rules.eventTypes = [...new Set(eventTypes)];
+
+    for (const key of ['eventDateFrom', 'eventDateTo']) {
+      if (input[key]) {
+        if (!DATE_PATTERN.test(input[key])) {
+          return { error: 'Event dates must be given as YYYY-MM-DD' };
+        }
+        rules[key] = input[key];
+      }
+    }
+    if (rules.eventDateFrom && rules.eventDateTo && rules.eventDateFrom > rules.eventDateTo) {
+      return { error: 'The event date window ends before it starts' };
+    }
+
+    fields.rules = rules;
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  normalizeCode,
+  promoCodeProblem,
+  promoDiscountAmount,
+  promoContext,
+  parsePromoCodeFields
+};
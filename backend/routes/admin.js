@@ -1,365 +1,652 @@
-const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get dashboard statistics
-router.get('/dashboard', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-
-  // Get all statistics in parallel
-  const queries = {
-    totalUsers: 'SELECT COUNT(*) as count FROM users WHERE is_active = 1',
-    totalBookings: 'SELECT COUNT(*) as count FROM bookings',
-    totalRevenue: 'SELECT COALESCE(SUM(total_amount), 0) as total FROM receipts WHERE payment_status = "paid"',
-    pendingBookings: 'SELECT COUNT(*) as count FROM bookings WHERE booking_status = "pending"',
-    totalMenuItems: 'SELECT COUNT(*) as count FROM menu_items',
-    availableMenuItems: 'SELECT COUNT(*) as count FROM menu_items WHERE is_available = 1',
-    recentBookings: `
-      SELECT b.*, u.first_name, u.last_name, u.email
-      FROM bookings b
-      JOIN users u ON b.user_id = u.id
-      ORDER BY b.created_at DESC
-      LIMIT 10
-    `,
-    monthlyRevenue: `
-      SELECT 
-        strftime('%Y-%m', created_at) as month,
-        COALESCE(SUM(total_amount), 0) as revenue
-      FROM receipts 
-      WHERE payment_status = 'paid' 
-        AND created_at >= date('now', '-12 months')
-      GROUP BY strftime('%Y-%m', created_at)
-      ORDER BY month DESC
-    `
-  };
-
-  const results = {};
-  let completed = 0;
-  const totalQueries = Object.keys(queries).length;
-
-  Object.keys(queries).forEach(key => {
-    db.all(queries[key], (err, rows) => {
-      if (err) {
-        console.error(`Error in query ${key}:`, err);
-        results[key] = key.includes('recent') || key.includes('monthly') ? [] : 0;
-      } else {
-        if (key.includes('recent') || key.includes('monthly')) {
-          results[key] = rows;
-        } else {
-          results[key] = rows[0].count || rows[0].total || 0;
-        }
-      }
-
-      completed++;
-      if (completed === totalQueries) {
-        res.json({
-          statistics: {
-            totalUsers: results.totalUsers,
-            totalBookings: results.totalBookings,
-            totalRevenue: results.totalRevenue,
-            pendingBookings: results.pendingBookings,
-            totalMenuItems: results.totalMenuItems,
-            availableMenuItems: results.availableMenuItems
-          },
-          recentBookings: results.recentBookings,
-          monthlyRevenue: results.monthlyRevenue
-        });
-      }
-    });
-  });
-});
-
-// Get all users
-router.get('/users', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const { page = 1, limit = 10, search = '' } = req.query;
-  const offset = (page - 1) * limit;
-
-  let query = `
-    SELECT id, username, email, first_name, last_name, phone_number, user_type, is_active, created_at
-    FROM users
-  `;
-  const params = [];
-
-  if (search) {
-    query += ' WHERE (first_name LIKE ? OR last_name LIKE ? OR email LIKE ? OR username LIKE ?)';
-    const searchTerm = `%${search}%`;
-    params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-  }
-
-  query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), offset);
-
-  db.all(query, params, (err, users) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    // Get total count
-    let countQuery = 'SELECT COUNT(*) as total FROM users';
-    const countParams = [];
-    
-    if (search) {
-      countQuery += ' WHERE (first_name LIKE ? OR last_name LIKE ? OR email LIKE ? OR username LIKE ?)';
-      const searchTerm = `%${search}%`;
-      countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-    }
-
-    db.get(countQuery, countParams, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      res.json({
-        users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: countResult.total,
-          pages: Math.ceil(countResult.total / limit)
-        }
-      });
-    });
-  });
-});
-
-// Update user status
-router.patch('/users/:id/status', [
-  authenticateToken,
-  requireAdmin,
-  body('isActive').isBoolean()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { isActive } = req.body;
-  const userId = req.params.id;
-  const db = getDatabase();
-
-  db.run(
-    'UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [isActive ? 1 : 0, userId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to update user status' });
-      }
-
-      res.json({ message: 'User status updated successfully' });
-    }
-  );
-});
-
-// Get all bookings with filters
-router.get('/bookings', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const { 
-    page = 1, 
-    limit = 10, 
-    status = '', 
-    eventType = '', 
-    dateFrom = '', 
-    dateTo = '' 
-  } = req.query;
-  
-  const offset = (page - 1) * limit;
-
-  let query = `
-    SELECT b.*, u.first_name, u.last_name, u.email, u.phone_number
-    FROM bookings b
-    JOIN users u ON b.user_id = u.id
-    WHERE 1=1
-  `;
-  const params = [];
-
-  if (status) {
-    query += ' AND b.booking_status = ?';
-    params.push(status);
-  }
-
-  if (eventType) {
-    query += ' AND b.event_type LIKE ?';
-    params.push(`%${eventType}%`);
-  }
-
-  if (dateFrom) {
-    query += ' AND b.event_date >= ?';
-    params.push(dateFrom);
-  }
-
-  if (dateTo) {
-    query += ' AND b.event_date <= ?';
-    params.push(dateTo);
-  }
-
-  query += ' ORDER BY b.created_at DESC LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), offset);
-
-  db.all(query, params, (err, bookings) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    // Get total count with same filters
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM bookings b
-      JOIN users u ON b.user_id = u.id
-      WHERE 1=1
-    `;
-    const countParams = params.slice(0, -2); // Remove limit and offset
-
-    if (status) {
-      countQuery += ' AND b.booking_status = ?';
-    }
-    if (eventType) {
-      countQuery += ' AND b.event_type LIKE ?';
-    }
-    if (dateFrom) {
-      countQuery += ' AND b.event_date >= ?';
-    }
-    if (dateTo) {
-      countQuery += ' AND b.event_date <= ?';
-    }
-
-    db.get(countQuery, countParams, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      res.json({
-        bookings,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: countResult.total,
-          pages: Math.ceil(countResult.total / limit)
-        }
-      });
-    });
-  });
-});
-
-// Get booking details with items
-router.get('/bookings/:id', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const bookingId = req.params.id;
-
-  db.get(
-    `SELECT b.*, u.first_name, u.last_name, u.email, u.phone_number
-     FROM bookings b
-     JOIN users u ON b.user_id = u.id
-     WHERE b.id = ?`,
-    [bookingId],
-    (err, booking) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!booking) {
-        return res.status(404).json({ error: 'Booking not found' });
-      }
-
-      // Get booking items
-      db.all(
-        `SELECT bi.*, mi.item_name, mi.description, mi.category
-         FROM booking_items bi
-         JOIN menu_items mi ON bi.item_id = mi.id
-         WHERE bi.booking_id = ?`,
-        [bookingId],
-        (err, items) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          res.json({
-            booking: {
-              ...booking,
-              items
-            }
-          });
-        }
-      );
-    }
-  );
-});
-
-// Update booking status
-router.patch('/bookings/:id/status', [
-  authenticateToken,
-  requireAdmin,
-  body('status').isIn(['pending', 'confirmed', 'cancelled', 'completed'])
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { status } = req.body;
-  const bookingId = req.params.id;
-  const db = getDatabase();
-
-  db.run(
-    'UPDATE bookings SET booking_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [status, bookingId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to update booking status' });
-      }
-
-      res.json({ message: 'Booking status updated successfully' });
-    }
-  );
-});
-
-// Get revenue analytics
-router.get('/analytics/revenue', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const { period = 'month' } = req.query;
-
-  let dateFormat, groupBy;
-  switch (period) {
-    case 'day':
-      dateFormat = '%Y-%m-%d';
-      groupBy = 'DATE(created_at)';
-      break;
-    case 'week':
-      dateFormat = '%Y-%W';
-      groupBy = 'strftime("%Y-%W", created_at)';
-      break;
-    case 'year':
-      dateFormat = '%Y';
-      groupBy = 'strftime("%Y", created_at)';
-      break;
-    default: // month
-      dateFormat = '%Y-%m';
-      groupBy = 'strftime("%Y-%m", created_at)';
-  }
-
-  const query = `
-    SELECT 
-      ${groupBy} as period,
-      COUNT(*) as total_receipts,
-      COALESCE(SUM(CASE WHEN payment_status = 'paid' THEN total_amount ELSE 0 END), 0) as paid_revenue,
-      COALESCE(SUM(CASE WHEN payment_status = 'pending' THEN total_amount ELSE 0 END), 0) as pending_revenue,
-      COALESCE(SUM(total_amount), 0) as total_revenue
-    FROM receipts 
-    WHERE created_at >= date('now', '-12 months')
-    GROUP BY ${groupBy}
-    ORDER BY period DESC
-  `;
-
-  db.all(query, (err, results) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    res.json({ analytics: results });
-  });
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getDatabase } = require('../database/init');
+const { newestFirst } = require('../database/repository');
+const { createSnapshot, listSnapshots, restoreSnapshot, snapshotPath } = require('../database/backups');
+const {
+  authenticateToken, requireAdmin, requirePermission, STAFF_ROLES, REQUIRE_STAFF_TWO_FACTOR
+} = require('../middleware/auth');
+const { getLoginThrottle } = require('../middleware/login-throttle');
+const { STATUSES, changeStatus, TransitionError } = require('../bookings/lifecycle');
+const { getRules, saveRules, parseRules } = require('../bookings/availability');
+const { getPolicy, savePolicy, parsePolicy } = require('../bookings/policy');
+const { getTerms, saveTerms, parseTerms } = require('../payments/schedule');
+const { roundMoney } = require('../pricing');
+
+const router = express.Router();
+
+// Period key of a date: day (2024-05-31), week (2024-22), month (2024-05) or year (2024)
+function periodKey(dateString, period) {
+  const iso = new Date(dateString).toISOString();
+  switch (period) {
+    case 'day':
+      return iso.slice(0, 10);
+    case 'week': {
+      // Monday-based week of the year, like strftime('%W')
+      const date = new Date(iso.slice(0, 10));
+      const dayOfYear = Math.floor((date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000);
+      const mondayBasedDay = (date.getUTCDay() + 6) % 7;
+      const week = Math.floor((dayOfYear + 7 - mondayBasedDay) / 7);
+      return `${iso.slice(0, 4)}-${String(week).padStart(2, '0')}`;
+    }
+    case 'year':
+      return iso.slice(0, 4);
+    default: // month
+      return iso.slice(0, 7);
+  }
+}
+
+// Statuses of bookings the kitchen prepares for
+const PREP_STATUSES = ['confirmed', 'deposit_paid', 'in_preparation'];
+
+// Kitchen view of a booking: what to cook for whom, with the checklist
+// ticks (booking.prepChecklist, keyed by item position)
+function prepSheet(booking) {
+  const checklist = booking.prepChecklist || {};
+  const items = (booking.items || []).map((item, index) => ({
+    index,
+    itemName: item.itemName,
+    quantity: item.quantity,
+    done: false,
+    ...checklist[index]
+  }));
+
+  return {
+    id: booking.id,
+    bookingId: booking.bookingId,
+    bookingStatus: booking.bookingStatus,
+    customerName: booking.customerName,
+    eventType: booking.eventType,
+    eventDate: booking.eventDate,
+    timeSlot: booking.timeSlot,
+    eventVenue: booking.eventVenue,
+    numGuests: booking.numGuests,
+    specialInstructions: booking.specialInstructions || '',
+    items,
+    completed: items.length > 0 && items.every(item => item.done)
+  };
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function twelveMonthsAgo() {
+  const date = new Date();
+  date.setMonth(date.getMonth() - 12);
+  return date;
+}
+
+// Get dashboard statistics
+router.get('/dashboard', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const users = await db.users.all();
+    const bookings = await db.bookings.all();
+    const menuItems = await db.menu.all();
+    const payments = await db.payments.all();
+
+    // Revenue comes from the payments ledger: payments cleared, less the
+    // refunds of them that went through (a credit note refunds through
+    // these, so it counts once and only for what it actually paid back)
+    const cleared = payments.filter(payment => payment.status === 'cleared');
+    const refunded = cleared.flatMap(payment => (payment.refunds || []).filter(refund => refund.status === 'succeeded'));
+    const grossRevenue = roundMoney(cleared.reduce((sum, payment) => sum + payment.amount, 0));
+    const refunds = roundMoney(refunded.reduce((sum, refund) => sum + refund.amount, 0));
+
+    const statistics = {
+      totalUsers: users.length,
+      totalBookings: bookings.length,
+      totalRevenue: roundMoney(grossRevenue - refunds),
+      grossRevenue,
+      refunds,
+      pendingBookings: bookings.filter(b => b.bookingStatus === 'pending').length,
+      totalMenuItems: menuItems.length,
+      availableMenuItems: menuItems.filter(m => m.isAvailable).length
+    };
+
+    // Revenue per month for the last 12 months: payments in the month they
+    // were received, refunds taken off in the month they went through
+    const since = twelveMonthsAgo();
+    const revenueByMonth = {};
+    const refundsByMonth = {};
+    cleared
+      .filter(payment => new Date(payment.receivedAt) >= since)
+      .forEach(payment => {
+        const month = periodKey(payment.receivedAt, 'month');
+        revenueByMonth[month] = (revenueByMonth[month] || 0) + payment.amount;
+      });
+    refunded
+      .filter(refund => new Date(refund.completedAt || refund.requestedAt) >= since)
+      .forEach(refund => {
+        const month = periodKey(refund.completedAt || refund.requestedAt, 'month');
+        refundsByMonth[month] = (refundsByMonth[month] || 0) + refund.amount;
+      });
+    const monthlyRevenue = [...new Set([...Object.keys(revenueByMonth), ...Object.keys(refundsByMonth)])]
+      .sort()
+      .reverse()
+      .map(month => ({
+        month,
+        revenue: roundMoney((revenueByMonth[month] || 0) - (refundsByMonth[month] || 0)),
+        grossRevenue: roundMoney(revenueByMonth[month] || 0),
+        refunds: roundMoney(refundsByMonth[month] || 0)
+      }));
+
+    res.json({
+      statistics,
+      recentBookings: bookings.slice(-10).reverse(),
+      monthlyRevenue
+    });
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ error: 'Failed to load dashboard' });
+  }
+});
+
+// Get all users
+router.get('/users', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 10, search = '' } = req.query;
+    const searchTerm = search.toLowerCase();
+
+    const { items, pagination } = await db.users.paginate({
+      where: user => !searchTerm || [user.firstName, user.lastName, user.email, user.username]
+        .some(value => (value || '').toLowerCase().includes(searchTerm)),
+      sort: newestFirst,
+      page,
+      limit
+    });
+
+    res.json({
+      users: items.map(user => db.users.withoutPassword(user)),
+      pagination
+    });
+  } catch (error) {
+    console.error('Error loading users:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update user status
+router.patch('/users/:id/status', [
+  authenticateToken,
+  requireAdmin,
+  body('isActive').isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { isActive } = req.body;
+    const db = getDatabase();
+
+    const user = await db.users.update(req.params.id, {
+      isActive: isActive === true || isActive === 'true',
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Log a deactivated user out everywhere
+    if (!user.isActive) {
+      await db.sessions.revoke(user.id, { reason: 'account deactivated' });
+    }
+
+    res.json({ message: 'User status updated successfully' });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({ error: 'Failed to update user status' });
+  }
+});
+
+// Change a user's role: customer or a staff role. The new role applies
+// from the user's next token refresh (at most JWT_EXPIRES_IN later).
+router.patch('/users/:id/role', [
+  authenticateToken,
+  requireAdmin,
+  body('role').isIn(['customer', ...STAFF_ROLES])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const db = getDatabase();
+
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const user = await db.users.update(req.params.id, {
+      userType: req.body.role,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'User role updated successfully', user: db.users.withoutPassword(user) });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ error: 'Failed to update user role' });
+  }
+});
+
+// Security settings
+router.get('/settings/security', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ requireTwoFactorForStaff: await db.settings.getValue(REQUIRE_STAFF_TWO_FACTOR, false) });
+  } catch (error) {
+    console.error('Error loading security settings:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Require two-factor authentication for every staff account. Staff without
+// it can only set it up until they have. Applies from their next token
+// refresh.
+router.put('/settings/security', [
+  authenticateToken,
+  requireAdmin,
+  body('requireTwoFactorForStaff').isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const db = getDatabase();
+    const required = req.body.requireTwoFactorForStaff === true || req.body.requireTwoFactorForStaff === 'true';
+    const admin = await db.users.findById(req.user.id);
+
+    // Don't lock the admin out of the pages they're using
+    if (required && !(admin && admin.twoFactor && admin.twoFactor.enabled)) {
+      return res.status(400).json({ error: 'Set up two-factor authentication for your own account first' });
+    }
+
+    await db.settings.setValue(REQUIRE_STAFF_TWO_FACTOR, required);
+    res.json({ message: 'Security settings updated successfully', requireTwoFactorForStaff: required });
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ error: 'Failed to update security settings' });
+  }
+});
+
+// When bookings can be made: time slots, capacity, lead times and blackout
+// dates (see bookings/availability.js)
+router.get('/settings/availability', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ rules: await getRules(db) });
+  } catch (error) {
+    console.error('Error loading availability settings:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change the availability rules. Only the fields given are changed; bookings
+// already made are kept even when they no longer fit.
+router.put('/settings/availability', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { rules, error } = parseRules(req.body || {}, await getRules(db));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveRules(db, rules);
+    res.json({ message: 'Availability settings updated successfully', rules });
+  } catch (error) {
+    console.error('Error updating availability settings:', error);
+    res.status(500).json({ error: 'Failed to update availability settings' });
+  }
+});
+
+// What customers may change on their bookings and what cancelling costs
+// (see bookings/policy.js)
+router.get('/settings/booking-policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ policy: await getPolicy(db) });
+  } catch (error) {
+    console.error('Error loading booking policy:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change the booking policy. Applies to changes and cancellations from now
+// on; fees already charged stay.
+router.put('/settings/booking-policy', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { policy, error } = parsePolicy(req.body || {}, await getPolicy(db));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await savePolicy(db, policy);
+    res.json({ message: 'Booking policy updated successfully', policy });
+  } catch (error) {
+    console.error('Error updating booking policy:', error);
+    res.status(500).json({ error: 'Failed to update booking policy' });
+  }
+});
+
+// Standard payment terms (deposit and balance due dates)
+router.get('/settings/payment-terms', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ terms: await getTerms(db) });
+  } catch (error) {
+    console.error('Error loading payment terms:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change the payment terms. Applies to every booking without its own
+// payment schedule.
+router.put('/settings/payment-terms', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { terms, error } = parseTerms(req.body || {}, await getTerms(db));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await saveTerms(db, terms);
+    res.json({ message: 'Payment terms updated successfully', terms });
+  } catch (error) {
+    console.error('Error updating payment terms:', error);
+    res.status(500).json({ error: 'Failed to update payment terms' });
+  }
+});
+
+// Accounts and IP addresses locked out after repeated failed logins or
+// password reset requests
+router.get('/lockouts', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const lockouts = await getLoginThrottle().locked();
+    res.json({ lockouts });
+  } catch (error) {
+    console.error('Error loading lockouts:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Lift a lockout
+router.delete('/lockouts/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const lockout = await getLoginThrottle().unlock(req.params.id);
+
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+
+    res.json({ message: 'Unlocked successfully', lockout });
+  } catch (error) {
+    console.error('Error removing lockout:', error);
+    res.status(500).json({ error: 'Failed to unlock' });
+  }
+});
+
+// Get all bookings with filters
+router.get('/bookings', authenticateToken, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const {
+      page = 1,
+      limit = 10,
+      status = '',
+      eventType = '',
+      dateFrom = '',
+      dateTo = ''
+    } = req.query;
+
+    const { items, pagination } = await db.bookings.paginate({
+      where: booking => {
+        if (status && booking.bookingStatus !== status) return false;
+        if (eventType && !(booking.eventType || '').toLowerCase().includes(eventType.toLowerCase())) return false;
+        if (dateFrom && booking.eventDate < dateFrom) return false;
+        if (dateTo && booking.eventDate > dateTo) return false;
+        return true;
+      },
+      sort: newestFirst,
+      page,
+      limit
+    });
+
+    res.json({ bookings: items, pagination });
+  } catch (error) {
+    console.error('Error loading bookings:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get booking details with items
+router.get('/bookings/:id', authenticateToken, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json({ booking });
+  } catch (error) {
+    console.error('Error loading booking:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Update booking status
+router.patch('/bookings/:id/status', [
+  authenticateToken,
+  requirePermission('bookings.status'),
+  body('status').isIn(STATUSES)
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const db = getDatabase();
+    const booking = await changeStatus(db, req.params.id, req.body.status, { user: req.user, reason: req.body.reason });
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json({ message: 'Booking status updated successfully', booking });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Update booking status error:', error);
+    res.status(500).json({ error: 'Failed to update booking status' });
+  }
+});
+
+// Prep sheets of the bookings to cook for, from ?from (default today) for
+// ?days days (default 7)
+router.get('/prep-sheets', authenticateToken, requirePermission('prep.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const from = /^\d{4}-\d{2}-\d{2}$/.test(req.query.from || '') ? req.query.from : new Date().toISOString().slice(0, 10);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 31);
+    const to = addDays(from, days);
+
+    const bookings = await db.bookings.filter(booking =>
+      PREP_STATUSES.includes(booking.bookingStatus) && booking.eventDate >= from && booking.eventDate < to);
+
+    const prepSheets = bookings
+      .sort((a, b) => `${a.eventDate} ${a.timeSlot}`.localeCompare(`${b.eventDate} ${b.timeSlot}`))
+      .map(prepSheet);
+
+    res.json({ from, to, prepSheets });
+  } catch (error) {
+    console.error('Error loading prep sheets:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Prep sheet of one booking
+router.get('/prep-sheets/:id', authenticateToken, requirePermission('prep.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json({ prepSheet: prepSheet(booking) });
+  } catch (error) {
+    console.error('Error loading prep sheet:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Tick or untick an item on a booking's prep checklist
+router.patch('/prep-sheets/:id/items/:index', [
+  authenticateToken,
+  requirePermission('prep.checklist'),
+  body('done').isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const db = getDatabase();
+    const index = parseInt(req.params.index);
+    const done = req.body.done === true || req.body.done === 'true';
+    let itemFound = false;
+
+    const booking = await db.bookings.update(req.params.id, current => {
+      itemFound = Number.isInteger(index) && index >= 0 && index < (current.items || []).length;
+      if (!itemFound) {
+        return current;
+      }
+
+      return {
+        ...current,
+        prepChecklist: {
+          ...current.prepChecklist,
+          [index]: { done, checkedBy: req.user.email, checkedAt: new Date().toISOString() }
+        }
+      };
+    });
+
+    if (!booking || !itemFound) {
+      return res.status(404).json({ error: booking ? 'Item not found on this booking' : 'Booking not found' });
+    }
+
+    res.json({ message: 'Checklist updated successfully', prepSheet: prepSheet(booking) });
+  } catch (error) {
+    console.error('Update checklist error:', error);
+    res.status(500).json({ error: 'Failed to update checklist' });
+  }
+});
+
+// Get revenue analytics
+router.get('/analytics/revenue', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { period = 'month' } = req.query;
+    const since = twelveMonthsAgo();
+
+    const receipts = await db.receipts.filter(r => r.createdAt && new Date(r.createdAt) >= since);
+
+    const groups = {};
+    receipts.forEach(receipt => {
+      const key = periodKey(receipt.createdAt, period);
+      const group = groups[key] || (groups[key] = {
+        period: key,
+        total_receipts: 0,
+        paid_revenue: 0,
+        pending_revenue: 0,
+        total_revenue: 0
+      });
+
+      group.total_receipts += 1;
+      group.total_revenue += receipt.totalAmount || 0;
+      if (receipt.paymentStatus === 'paid') group.paid_revenue += receipt.totalAmount || 0;
+      if (receipt.paymentStatus === 'pending') group.pending_revenue += receipt.totalAmount || 0;
+    });
+
+    const analytics = Object.values(groups).sort((a, b) => b.period.localeCompare(a.period));
+
+    res.json({ analytics });
+  } catch (error) {
+    console.error('Revenue analytics error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// List data snapshots, newest first
+router.get('/backups', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({ backups: await listSnapshots() });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// Take a snapshot now
+router.post('/backups', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const backup = await createSnapshot(getDatabase(), 'manual');
+    res.status(201).json({ message: 'Backup created successfully', backup });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ error: 'Failed to create backup' });
+  }
+});
+
+// Download a snapshot (.json.gz)
+router.get('/backups/:name', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const backups = await listSnapshots();
+    if (!backups.some(backup => backup.name === req.params.name)) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    res.download(snapshotPath(req.params.name), req.params.name);
+  } catch (error) {
+    console.error('Error downloading backup:', error);
+    res.status(500).json({ error: 'Failed to download backup' });
+  }
+});
+
+// Restore all data from a snapshot (the current data is snapshotted first)
+router.post('/backups/:name/restore', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const backups = await listSnapshots();
+    if (!backups.some(backup => backup.name === req.params.name)) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    const restored = await restoreSnapshot(getDatabase(), req.params.name);
+    res.json({ message: 'Backup restored successfully', restored });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup' });
+  }
+});
+
+module.exports = router;
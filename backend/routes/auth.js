@@ -1,351 +1,823 @@
-const express = require('express');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { generateToken, authenticateToken } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Login endpoint
-router.post('/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { email, password } = req.body;
-    const db = getDatabase();
-
-    // Find user by email
-    db.get(
-      'SELECT * FROM users WHERE email = ? AND is_active = 1',
-      [email],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (!user) {
-          return res.status(401).json({ error: 'Invalid email or password' });
-        }
-
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
-        if (!isValidPassword) {
-          return res.status(401).json({ error: 'Invalid email or password' });
-        }
-
-        // Generate token
-        const token = generateToken(user);
-
-        // Return user data (without password)
-        const { password_hash, ...userWithoutPassword } = user;
-        res.json({
-          message: 'Login successful',
-          token,
-          user: userWithoutPassword
-        });
-      }
-    );
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Register endpoint
-router.post('/register', [
-  body('username').isLength({ min: 3 }).trim().escape(),
-  body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 8 }),
-  body('firstName').isLength({ min: 2 }).trim().escape(),
-  body('lastName').isLength({ min: 2 }).trim().escape(),
-  body('phoneNumber').optional().isMobilePhone()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { username, email, password, firstName, lastName, phoneNumber } = req.body;
-    const db = getDatabase();
-
-    // Check if user already exists
-    db.get(
-      'SELECT id FROM users WHERE email = ? OR username = ?',
-      [email, username],
-      async (err, existingUser) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        if (existingUser) {
-          return res.status(409).json({ error: 'User already exists' });
-        }
-
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
-
-        // Insert new user
-        db.run(
-          `INSERT INTO users (username, email, password_hash, first_name, last_name, phone_number, user_type) 
-           VALUES (?, ?, ?, ?, ?, ?, 'customer')`,
-          [username, email, hashedPassword, firstName, lastName, phoneNumber],
-          function(err) {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to create user' });
-            }
-
-            // Get the created user
-            db.get(
-              'SELECT * FROM users WHERE id = ?',
-              [this.lastID],
-              (err, user) => {
-                if (err) {
-                  return res.status(500).json({ error: 'Database error' });
-                }
-
-                const token = generateToken(user);
-                const { password_hash, ...userWithoutPassword } = user;
-                
-                res.status(201).json({
-                  message: 'User created successfully',
-                  token,
-                  user: userWithoutPassword
-                });
-              }
-            );
-          }
-        );
-      }
-    );
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Get current user info
-router.get('/me', authenticateToken, (req, res) => {
-  const db = getDatabase();
-  
-  db.get(
-    'SELECT id, username, email, first_name, last_name, phone_number, user_type, created_at FROM users WHERE id = ?',
-    [req.user.id],
-    (err, user) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      res.json({ user });
-    }
-  );
-});
-
-// Logout endpoint (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logout successful' });
-});
-
-// Update profile
-router.put('/profile', [
-  authenticateToken,
-  body('firstName').optional().isLength({ min: 2 }).trim().escape(),
-  body('lastName').optional().isLength({ min: 2 }).trim().escape(),
-  body('email').optional().isEmail().normalizeEmail(),
-  body('phoneNumber').optional().trim().escape(),
-  body('username').optional().isLength({ min: 3 }).trim().escape()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { firstName, lastName, email, phoneNumber, username } = req.body;
-    const db = getDatabase();
-
-    // Check if email is being changed and if it's already taken
-    if (email) {
-      db.get(
-        'SELECT id FROM users WHERE email = ? AND id != ?',
-        [email, req.user.id],
-        (err, existingUser) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (existingUser) {
-            return res.status(409).json({ error: 'Email already in use' });
-          }
-
-          // Check if username is being changed and if it's already taken
-          if (username) {
-            db.get(
-              'SELECT id FROM users WHERE username = ? AND id != ?',
-              [username, req.user.id],
-              (err, existingUsername) => {
-                if (err) {
-                  return res.status(500).json({ error: 'Database error' });
-                }
-
-                if (existingUsername) {
-                  return res.status(409).json({ error: 'Username already in use' });
-                }
-
-                updateProfile();
-              }
-            );
-          } else {
-            updateProfile();
-          }
-        }
-      );
-    } else if (username) {
-      // Check if username is being changed and if it's already taken
-      db.get(
-        'SELECT id FROM users WHERE username = ? AND id != ?',
-        [username, req.user.id],
-        (err, existingUsername) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          if (existingUsername) {
-            return res.status(409).json({ error: 'Username already in use' });
-          }
-
-          updateProfile();
-        }
-      );
-    } else {
-      updateProfile();
-    }
-
-    function updateProfile() {
-      const updates = [];
-      const values = [];
-
-      if (firstName) {
-        updates.push('first_name = ?');
-        values.push(firstName);
-      }
-      if (lastName) {
-        updates.push('last_name = ?');
-        values.push(lastName);
-      }
-      if (email) {
-        updates.push('email = ?');
-        values.push(email);
-      }
-      if (phoneNumber !== undefined) {
-        updates.push('phone_number = ?');
-        values.push(phoneNumber);
-      }
-      if (username) {
-        updates.push('username = ?');
-        values.push(username);
-      }
-
-      if (updates.length === 0) {
-        return res.status(400).json({ error: 'No fields to update' });
-      }
-
-      updates.push('updated_at = CURRENT_TIMESTAMP');
-      values.push(req.user.id);
-
-      db.run(
-        `UPDATE users SET ${updates.join(', ')} WHERE id = ?`,
-        values,
-        (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update profile' });
-          }
-
-          // Get updated user
-          db.get(
-            'SELECT id, username, email, first_name, last_name, phone_number, user_type, created_at FROM users WHERE id = ?',
-            [req.user.id],
-            (err, user) => {
-              if (err) {
-                return res.status(500).json({ error: 'Database error' });
-              }
-
-              res.json({
-                message: 'Profile updated successfully',
-                user
-              });
-            }
-          );
-        }
-      );
-    }
-  } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Change password
-router.post('/change-password', [
-  authenticateToken,
-  body('currentPassword').isLength({ min: 8 }),
-  body('newPassword').isLength({ min: 8 })
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-
-    const { currentPassword, newPassword } = req.body;
-    const db = getDatabase();
-
-    // Get current user with password
-    db.get(
-      'SELECT password_hash FROM users WHERE id = ?',
-      [req.user.id],
-      async (err, user) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        // Verify current password
-        const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
-        if (!isValidPassword) {
-          return res.status(401).json({ error: 'Current password is incorrect' });
-        }
-
-        // Hash new password
-        const hashedNewPassword = await bcrypt.hash(newPassword, 10);
-
-        // Update password
-        db.run(
-          'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [hashedNewPassword, req.user.id],
-          (err) => {
-            if (err) {
-              return res.status(500).json({ error: 'Failed to update password' });
-            }
-
-            res.json({ message: 'Password updated successfully' });
-          }
-        );
-      }
-    );
-  } catch (error) {
-    console.error('Change password error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { getMailer } = require('../mail');
+const {
+  generateToken, generateChallengeToken, verifyChallengeToken, authenticateToken,
+  hashPassword, verifyPassword, isPasswordHash, permissionsFor, STAFF_ROLES, REQUIRE_STAFF_TWO_FACTOR
+} = require('../middleware/auth');
+const { throttleAttempts, startAttempt, attemptKeys, tooManyAttempts } = require('../middleware/login-throttle');
+const { generateSecret, verifyTotp, otpauthUri, generateRecoveryCodes, hashRecoveryCode } = require('../middleware/totp');
+
+const router = express.Router();
+
+// One-time token purpose and lifetime of password reset links
+const PASSWORD_RESET = 'password-reset';
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Email verification links, and how often a customer may ask for a new one
+const EMAIL_VERIFICATION = 'email-verification';
+const EMAIL_VERIFICATION_TTL_MINUTES = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+// How long a login session lasts without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Where the frontend lives (links in emails point there)
+const APP_URL = process.env.APP_URL || 'https://k1ng846.github.io/d-sis-catering-';
+
+// Mail a verification link for the user's current email address
+async function sendVerificationEmail(db, user) {
+  const token = await db.oneTimeTokens.issue(user.id, EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MINUTES);
+  await db.users.update(user.id, { verificationSentAt: new Date().toISOString() });
+
+  await getMailer().send({
+    to: user.email,
+    subject: "Confirm your email for d'sis Catering",
+    text: [
+      `Hi ${user.firstName || user.username},`,
+      '',
+      "Please confirm this email address for your d'sis Catering account by opening this link:",
+      `${APP_URL}/login.html?verify=${token}`,
+      '',
+      `Verification code: ${token}`,
+      '',
+      `The link is valid for ${EMAIL_VERIFICATION_TTL_MINUTES / 60} hours. You can browse and message us in the meantime, but bookings need a confirmed email.`
+    ].join('\n')
+  });
+}
+
+// User as sent to the client, with the permissions of their role so the
+// admin pages can show what the user may use
+function publicUser(db, user) {
+  return { ...db.users.withoutPassword(user), permissions: permissionsFor(user.userType) };
+}
+
+// Whether a staff member has to set up two-factor authentication before
+// using the admin pages
+async function needsTwoFactorSetup(db, user) {
+  if (!STAFF_ROLES.includes(user.userType) || (user.twoFactor && user.twoFactor.enabled)) {
+    return false;
+  }
+  return db.settings.getValue(REQUIRE_STAFF_TWO_FACTOR, false);
+}
+
+// Response of a completed login: the user, an access token and the refresh
+// token of a new session
+async function loginResponse(db, user, req) {
+  const twoFactorSetupRequired = await needsTwoFactorSetup(db, user);
+  const { session, refreshToken } = await db.sessions.start(user.id, {
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    ttlDays: REFRESH_TOKEN_TTL_DAYS
+  });
+
+  return {
+    message: 'Login successful',
+    user: { ...publicUser(db, user), twoFactorSetupRequired },
+    token: generateToken(user, { sessionId: session.id, twoFactorSetupRequired }),
+    refreshToken
+  };
+}
+
+// Short description of the browser and system in a User-Agent header,
+// e.g. "Chrome on Windows"
+function describeDevice(userAgent = '') {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+}
+
+// Accepts a current authenticator code (each code works once) or an unused
+// recovery code, which is used up. Resolves to true when the code is good.
+async function useSecondFactor(db, user, code) {
+  let accepted = false;
+
+  await db.users.update(user.id, current => {
+    const twoFactor = current.twoFactor || {};
+    if (!twoFactor.enabled) {
+      return current;
+    }
+
+    const step = verifyTotp(twoFactor.secret, code, { afterStep: twoFactor.lastUsedStep ?? -1 });
+    if (step !== null) {
+      accepted = true;
+      return { ...current, twoFactor: { ...twoFactor, lastUsedStep: step } };
+    }
+
+    const codeHash = hashRecoveryCode(code);
+    if ((twoFactor.recoveryCodes || []).includes(codeHash)) {
+      accepted = true;
+      return { ...current, twoFactor: { ...twoFactor, recoveryCodes: twoFactor.recoveryCodes.filter(hash => hash !== codeHash) } };
+    }
+    return current;
+  });
+
+  return accepted;
+}
+
+// useSecondFactor behind the attempt throttle. Sends the error response and
+// resolves to false when the code is refused.
+async function checkSecondFactor(req, res, db, user, code) {
+  const attempt = await startAttempt(attemptKeys('two-factor', req.ip, user.email));
+
+  if (attempt.block) {
+    tooManyAttempts(res, attempt.block);
+    return false;
+  }
+
+  try {
+    if (!code || !(await useSecondFactor(db, user, code))) {
+      await attempt.failed();
+      res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' });
+      return false;
+    }
+
+    await attempt.succeeded();
+    return true;
+  } finally {
+    await attempt.release();
+  }
+}
+
+// Two-factor authentication is offered to staff accounts
+function requireStaff(req, res, next) {
+  if (!STAFF_ROLES.includes(req.user.userType)) {
+    return res.status(403).json({ error: 'Two-factor authentication is available for staff accounts' });
+  }
+  next();
+}
+
+// Compare a password with the stored one (a bcrypt hash, or plain text for
+// accounts that haven't logged in since passwords were hashed)
+async function checkPassword(user, password) {
+  if (!user.password) {
+    return false;
+  }
+  if (isPasswordHash(user.password)) {
+    return verifyPassword(password, user.password);
+  }
+  return user.password === password;
+}
+
+// Deactivated accounts (PATCH /api/admin/users/:id/status) can't log in
+function deactivatedResponse(res) {
+  return res.status(403).json({ error: 'This account has been deactivated. Please contact us.', code: 'ACCOUNT_DEACTIVATED' });
+}
+
+// Login endpoint (failed attempts are throttled per IP address and account)
+router.post('/login', throttleAttempts('login'), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const db = getDatabase();
+    const user = await db.users.findByEmail(email);
+
+    if (!user || !(await checkPassword(user, password))) {
+      await req.loginAttempts.recordFailure();
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await req.loginAttempts.reset();
+
+    if (user.isActive === false) {
+      return deactivatedResponse(res);
+    }
+
+    // Accounts from before hashing still hold plain text: hash it now
+    if (!isPasswordHash(user.password)) {
+      await db.users.update(user.id, { password: await hashPassword(password) });
+    }
+
+    // Two-factor accounts continue at POST /2fa/login with the code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user)
+      });
+    }
+
+    res.json(await loginResponse(db, user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register endpoint
+router.post('/register', async (req, res) => {
+  try {
+    const { firstName, lastName, email, mobileNumber, password, repeatPassword } = req.body;
+
+    // Validation
+    if (!firstName || !lastName || !email || !password || !repeatPassword) {
+      return res.status(400).json({ error: 'All fields are required' });
+    }
+
+    if (password !== repeatPassword) {
+      return res.status(400).json({ error: 'Passwords do not match' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const db = getDatabase();
+
+    // Check if user already exists
+    const existingUser = await db.users.findByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({ error: 'User with this email already exists' });
+    }
+
+    const newUser = await db.users.create({
+      username: email.split('@')[0],
+      email,
+      password: await hashPassword(password),
+      firstName,
+      lastName,
+      phoneNumber: mobileNumber || '',
+      userType: 'customer',
+      emailVerified: false,
+      createdAt: new Date().toISOString()
+    });
+
+    // The account exists either way; the customer can ask for a new link later
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(db, newUser);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+      verificationEmailSent = false;
+    }
+
+    res.status(201).json({
+      message: 'User created successfully. Please check your email to verify your address.',
+      user: publicUser(db, await db.users.findById(newUser.id)),
+      verificationEmailSent
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Failed to save user data' });
+  }
+});
+
+// Confirm an email address with the mailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+
+    const db = getDatabase();
+    const verification = await db.oneTimeTokens.consume(token, EMAIL_VERIFICATION);
+    const user = verification && await db.users.findById(verification.userId);
+
+    if (!user) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired. Please request a new one.' });
+    }
+
+    const verifiedUser = await db.users.update(user.id, {
+      emailVerified: true,
+      emailVerifiedAt: new Date().toISOString()
+    });
+    await db.oneTimeTokens.revokeAll(user.id, EMAIL_VERIFICATION);
+
+    res.json({
+      message: 'Email address verified successfully',
+      user: publicUser(db, verifiedUser)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email address' });
+  }
+});
+
+// Send the logged in user a new verification link
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    const elapsedSeconds = (Date.now() - new Date(user.verificationSentAt || 0).getTime()) / 1000;
+    if (elapsedSeconds < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsedSeconds);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retryAfter
+      });
+    }
+
+    await sendVerificationEmail(db, user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Get current user info
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: publicUser(db, user) });
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// New access token for a refresh token. The refresh token is replaced by a
+// new one each time; using a replaced one again ends the session.
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const db = getDatabase();
+
+    const rotated = refreshToken && await db.sessions.rotate(String(refreshToken), {
+      userAgent: req.get('user-agent') || '',
+      ip: req.ip
+    });
+    const user = rotated && await db.users.findById(rotated.session.userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'SESSION_EXPIRED' });
+    }
+    if (user.isActive === false) {
+      await db.sessions.revoke(user.id, { reason: 'account deactivated' });
+      return deactivatedResponse(res);
+    }
+
+    // Role and two-factor changes take effect here
+    const twoFactorSetupRequired = await needsTwoFactorSetup(db, user);
+    res.json({
+      user: { ...publicUser(db, user), twoFactorSetupRequired },
+      token: generateToken(user, { sessionId: rotated.session.id, twoFactorSetupRequired }),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout: ends the session of the refresh token
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    const db = getDatabase();
+
+    const session = refreshToken && await db.sessions.findByToken(String(refreshToken));
+    if (session) {
+      await db.sessions.revoke(session.userId, { sessionId: session.id });
+    }
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Active sessions of the current user, newest activity first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const sessions = await db.sessions.activeFor(req.user.id);
+
+    res.json({
+      sessions: sessions
+        .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+        .map(session => ({
+          id: session.id,
+          device: describeDevice(session.userAgent),
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session.id === req.user.sid
+        }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out one session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const revoked = await db.sessions.revoke(req.user.id, { sessionId: parseInt(req.params.id) });
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session logged out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out everywhere, or everywhere else with ?keepCurrent=true
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await db.sessions.revoke(req.user.id, {
+      exceptId: keepCurrent ? req.user.sid : null
+    });
+
+    res.json({ message: `Logged out of ${revoked} session${revoked === 1 ? '' : 's'}`, revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the logged in user's profile
+router.put('/profile', authenticateToken, async (req, res) => {
+  try {
+    const { firstName, lastName, email: newEmail, phoneNumber, username } = req.body;
+
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const changes = {};
+
+    // If newEmail is provided and different from current, check if it's available
+    if (newEmail && newEmail !== user.email) {
+      const emailExists = await db.users.findByEmail(newEmail);
+      if (emailExists) {
+        return res.status(409).json({ error: 'Email already in use' });
+      }
+      changes.email = newEmail;
+      // A new address has to be confirmed again
+      changes.emailVerified = false;
+    }
+
+    // Check if username is already taken
+    if (username && username !== user.username) {
+      const usernameExists = await db.users.findOne(u => u.username === username && u.id !== user.id);
+      if (usernameExists) {
+        return res.status(409).json({ error: 'Username already in use' });
+      }
+      changes.username = username;
+    }
+
+    // Update other fields
+    if (firstName) changes.firstName = firstName;
+    if (lastName) changes.lastName = lastName;
+    if (phoneNumber !== undefined) changes.phoneNumber = phoneNumber;
+
+    const updatedUser = await db.users.update(user.id, changes);
+
+    if (changes.email) {
+      // Links mailed to the old address must not verify the new one
+      await db.oneTimeTokens.revokeAll(user.id, EMAIL_VERIFICATION);
+      try {
+        await sendVerificationEmail(db, updatedUser);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    // The token carries the email and username, so hand out a fresh one
+    res.json({
+      message: 'Profile updated successfully',
+      user: publicUser(db, updatedUser),
+      token: generateToken(updatedUser, { sessionId: req.user.sid, twoFactorSetupRequired: req.user.twoFactorSetupRequired })
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
+// Change the logged in user's password
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters long' });
+    }
+
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!(await checkPassword(user, currentPassword))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await db.users.update(user.id, { password: await hashPassword(newPassword) });
+
+    // Reset links mailed before the change must not work afterwards, and
+    // other devices have to log in with the new password
+    await db.oneTimeTokens.revokeAll(user.id, PASSWORD_RESET);
+    const loggedOut = await db.sessions.revoke(user.id, { exceptId: req.user.sid, reason: 'password changed' });
+
+    res.json({ message: 'Password updated successfully', loggedOutSessions: loggedOut });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to update password' });
+  }
+});
+
+// Login, second step for two-factor accounts: the challenge token from
+// POST /login and an authenticator or recovery code
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = verifyChallengeToken(challengeToken);
+
+    const db = getDatabase();
+    const user = challenge && await db.users.findById(challenge.id);
+
+    if (!user || !(user.twoFactor && user.twoFactor.enabled)) {
+      return res.status(401).json({ error: 'Your login has expired. Please log in again.' });
+    }
+
+    if (user.isActive === false) {
+      return deactivatedResponse(res);
+    }
+
+    if (!(await checkSecondFactor(req, res, db, user, code))) {
+      return;
+    }
+
+    res.json(await loginResponse(db, await db.users.findById(user.id), req));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Two-factor status of the logged in staff member
+router.get('/2fa', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const twoFactor = user.twoFactor || {};
+    res.json({
+      enabled: !!twoFactor.enabled,
+      enabledAt: twoFactor.enabledAt || null,
+      recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0,
+      required: await db.settings.getValue(REQUIRE_STAFF_TWO_FACTOR, false)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Enrollment, step 1: a new secret to scan (as otpauth:// URI or QR code)
+router.post('/2fa/setup', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await db.users.update(user.id, { twoFactor: { enabled: false, pendingSecret: secret } });
+
+    res.json({ secret, otpauthUri: otpauthUri(secret, user.email) });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Enrollment, step 2: confirm a code from the app. Responds with the
+// recovery codes (shown this once) and a token without setup restrictions.
+router.post('/2fa/enable', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+    const pendingSecret = user && user.twoFactor && user.twoFactor.pendingSecret;
+
+    if (!pendingSecret) {
+      return res.status(400).json({ error: 'Start the two-factor setup first' });
+    }
+
+    const step = verifyTotp(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code. Check the time on your phone and try again.' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const updatedUser = await db.users.update(user.id, {
+      twoFactor: {
+        enabled: true,
+        secret: pendingSecret,
+        lastUsedStep: step,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        enabledAt: new Date().toISOString()
+      }
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      user: { ...publicUser(db, updatedUser), twoFactorSetupRequired: false },
+      token: generateToken(updatedUser, { sessionId: req.user.sid })
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// New recovery codes (the old ones stop working); needs a current code
+router.post('/2fa/recovery-codes', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user || !(user.twoFactor && user.twoFactor.enabled)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await checkSecondFactor(req, res, db, user, req.body.code))) {
+      return;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await db.users.update(user.id, current => ({
+      ...current,
+      twoFactor: { ...current.twoFactor, recoveryCodes: recoveryCodes.map(hashRecoveryCode) }
+    }));
+
+    res.json({ message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to generate recovery codes' });
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a current code
+router.post('/2fa/disable', authenticateToken, requireStaff, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const db = getDatabase();
+    const user = await db.users.findById(req.user.id);
+
+    if (!user || !(user.twoFactor && user.twoFactor.enabled)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await db.settings.getValue(REQUIRE_STAFF_TWO_FACTOR, false)) {
+      return res.status(400).json({ error: 'Two-factor authentication is required for staff accounts' });
+    }
+
+    if (!password || !(await checkPassword(user, password))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (!(await checkSecondFactor(req, res, db, user, code))) {
+      return;
+    }
+
+    await db.users.update(user.id, current => {
+      const { twoFactor, ...rest } = current;
+      return rest;
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Forgot password, step 1: mail a single-use reset token. The response is
+// the same whether or not the email has an account. Every request counts
+// towards the throttle, so addresses can't be flooded with mail.
+router.post('/forgot-password', throttleAttempts('password-reset'), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await req.loginAttempts.recordFailure();
+
+    const db = getDatabase();
+    const user = await db.users.findByEmail(email);
+
+    if (user) {
+      const token = await db.oneTimeTokens.issue(user.id, PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES);
+
+      await getMailer().send({
+        to: user.email,
+        subject: "Reset your d'sis Catering password",
+        text: [
+          `Hi ${user.firstName || user.username},`,
+          '',
+          "We received a request to reset the password of your d'sis Catering account.",
+          `Open this link within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+          `${APP_URL}/login.html?reset=${token}`,
+          '',
+          `Reset code: ${token}`,
+          '',
+          "If you didn't ask for this, ignore this email. Your password stays the same."
+        ].join('\n')
+      });
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent to it.' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset email' });
+  }
+});
+
+// Forgot password, step 2: set a new password with the mailed token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'Reset token and new password are required' });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: 'New password must be at least 6 characters long' });
+    }
+
+    const db = getDatabase();
+    const reset = await db.oneTimeTokens.consume(token, PASSWORD_RESET);
+    const user = reset && await db.users.findById(reset.userId);
+
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    await db.users.update(user.id, { password: await hashPassword(newPassword) });
+    await db.oneTimeTokens.revokeAll(user.id, PASSWORD_RESET);
+    await db.sessions.revoke(user.id, { reason: 'password reset' });
+
+    res.json({ message: 'Password reset successfully. You may now log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to update password' });
+  }
+});
+
+module.exports = router;
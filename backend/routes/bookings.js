@@ -1,327 +1,706 @@
-const express = require('express');
-const fs = require('fs');
-const path = require('path');
-
-const router = express.Router();
-
-// Helper function to read JSON files
-function readJSONFile(filePath) {
-  try {
-    const data = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading JSON file:', error);
-    return [];
-  }
-}
-
-// Helper function to write JSON files
-function writeJSONFile(filePath, data) {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error writing JSON file:', error);
-    return false;
-  }
-}
-
-// Check availability for a specific date
-router.get('/availability/:date', (req, res) => {
-  const { date } = req.params;
-  
-  try {
-    // Read bookings data
-    const bookingsPath = path.join(__dirname, '../data/bookings.json');
-    const bookings = readJSONFile(bookingsPath);
-    
-    // Find bookings for the specified date
-    const dateBookings = bookings.filter(booking => {
-      const bookingDate = booking.eventDate || booking.event_date;
-      return bookingDate === date;
-    });
-    
-    res.json({
-      success: true,
-      date: date,
-      bookings: dateBookings,
-      availableSlots: getAvailableSlots(dateBookings)
-    });
-  } catch (error) {
-    console.error('Error checking availability:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to check availability' 
-    });
-  }
-});
-
-function getAvailableSlots(dateBookings) {
-  const allSlots = ['morning', 'afternoon'];
-  const bookedSlots = dateBookings.map(booking => booking.timeSlot || booking.time_slot).filter(slot => slot);
-  
-  return allSlots.filter(slot => !bookedSlots.includes(slot));
-}
-
-// Get all bookings (admin) or user's bookings
-router.get('/', (req, res) => {
-  try {
-    // Read bookings and users data
-    const bookingsPath = path.join(__dirname, '../data/bookings.json');
-    const usersPath = path.join(__dirname, '../data/users.json');
-    
-    const bookings = readJSONFile(bookingsPath);
-    const users = readJSONFile(usersPath);
-    
-    // Enhance bookings with user information
-    const enhancedBookings = bookings.map(booking => {
-      const user = users.find(u => u.id === booking.userId);
-      return {
-        ...booking,
-        customerName: user ? `${user.firstName} ${user.lastName}` : 'Unknown Customer',
-        customerPhone: user ? user.phoneNumber : 'No phone',
-        first_name: user?.firstName || 'Unknown',
-        last_name: user?.lastName || 'Customer',
-        email: user?.email || 'No email',
-        phone_number: user?.phoneNumber || 'No phone'
-      };
-    });
-    
-    res.json({ bookings: enhancedBookings });
-  } catch (error) {
-    console.error('Error loading bookings:', error);
-    res.status(500).json({ error: 'Failed to load bookings' });
-  }
-});
-
-// Get single booking
-router.get('/:id', authenticateToken, requireCustomerOrAdmin, (req, res) => {
-  const db = getDatabase();
-  const bookingId = req.params.id;
-  const isAdmin = req.user.userType === 'admin';
-  
-  let query = `
-    SELECT b.*, u.first_name, u.last_name, u.email, u.phone_number
-    FROM bookings b
-    JOIN users u ON b.user_id = u.id
-    WHERE b.id = ?
-  `;
-  
-  const params = [bookingId];
-  if (!isAdmin) {
-    query += ' AND b.user_id = ?';
-    params.push(req.user.id);
-  }
-
-  db.get(query, params, (err, booking) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
-
-    // Get booking items
-    db.all(
-      `SELECT bi.*, mi.item_name, mi.description, mi.category
-       FROM booking_items bi
-       JOIN menu_items mi ON bi.item_id = mi.id
-       WHERE bi.booking_id = ?`,
-      [bookingId],
-      (err, items) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
-        }
-
-        res.json({ 
-          booking: {
-            ...booking,
-            items
-          }
-        });
-      }
-    );
-  });
-});
-
-// Create new booking
-router.post('/', async (req, res) => {
-  try {
-    const { 
-      firstName, lastName, email, contactNumber, occasion, 
-      eventDate, timeSlot, numGuests, eventVenue, 
-      eventAddress, eventCity, eventProvince, eventPostal, 
-      instructions, fullAddress, selectedItems
-    } = req.body;
-
-    // Validate required fields
-    if (!eventDate || !timeSlot || !selectedItems || !selectedItems.length) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    // Read data files
-    const bookingsPath = path.join(__dirname, '../data/bookings.json');
-    const usersPath = path.join(__dirname, '../data/users.json');
-    
-    const bookings = readJSONFile(bookingsPath);
-    const users = readJSONFile(usersPath);
-
-    // Check if time slot is available
-    const conflictingBooking = bookings.find(booking => 
-      booking.eventDate === eventDate && 
-      (booking.timeSlot === timeSlot || booking.time_slot === timeSlot)
-    );
-
-    if (conflictingBooking) {
-      return res.status(400).json({ 
-        error: `The ${timeSlot} time slot is already booked for ${eventDate}` 
-      });
-    }
-
-    // Generate booking ID
-    const bookingId = `BK-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-    const newId = Math.max(0, ...bookings.map(b => b.id || 0)) + 1;
-
-    // Calculate total amount
-    let totalAmount = 0;
-    selectedItems.forEach(item => {
-      totalAmount += (item.price || 0) * (item.quantity || 0);
-    });
-
-    // Create new booking object
-    const newBooking = {
-      id: newId,
-      bookingId: bookingId,
-      userId: 1, // Default user ID for now
-      customerName: `${firstName} ${lastName}`,
-      customerPhone: contactNumber,
-      eventType: occasion,
-      eventDate: eventDate,
-      timeSlot: timeSlot,
-      eventVenue: eventVenue || fullAddress,
-      venue: fullAddress,
-      numGuests: parseInt(numGuests),
-      totalAmount: totalAmount,
-      specialInstructions: instructions || '',
-      selectedItems: selectedItems,
-      items: selectedItems.map(item => ({
-        itemName: item.name,
-        quantity: item.quantity,
-        unitPrice: item.price,
-        totalPrice: (item.price || 0) * (item.quantity || 0)
-      })),
-      bookingStatus: 'pending',
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    // Add to bookings array
-    bookings.push(newBooking);
-
-    // Save back to file
-    if (!writeJSONFile(bookingsPath, bookings)) {
-      return res.status(500).json({ error: 'Failed to save booking' });
-    }
-
-    res.status(201).json({
-      message: 'Booking created successfully',
-      booking: newBooking
-    });
-
-  } catch (error) {
-    console.error('Create booking error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Update booking status (admin only)
-router.patch('/:id/status', [
-  authenticateToken,
-  requireCustomerOrAdmin,
-  body('status').isIn(['pending', 'confirmed', 'cancelled', 'completed'])
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { status } = req.body;
-  const bookingId = req.params.id;
-  const db = getDatabase();
-
-  // Check if user is admin or booking owner
-  db.get(
-    'SELECT user_id FROM bookings WHERE id = ?',
-    [bookingId],
-    (err, booking) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!booking) {
-        return res.status(404).json({ error: 'Booking not found' });
-      }
-
-      if (req.user.userType !== 'admin' && booking.user_id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-
-      db.run(
-        'UPDATE bookings SET booking_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [status, bookingId],
-        (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to update booking status' });
-          }
-
-          res.json({ message: 'Booking status updated successfully' });
-        }
-      );
-    }
-  );
-});
-
-// Delete booking
-router.delete('/:id', authenticateToken, requireCustomerOrAdmin, (req, res) => {
-  const bookingId = req.params.id;
-  const db = getDatabase();
-
-  // Check if user is admin or booking owner
-  db.get(
-    'SELECT user_id FROM bookings WHERE id = ?',
-    [bookingId],
-    (err, booking) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!booking) {
-        return res.status(404).json({ error: 'Booking not found' });
-      }
-
-      if (req.user.userType !== 'admin' && booking.user_id !== req.user.id) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-
-      // Delete booking items first
-      db.run('DELETE FROM booking_items WHERE booking_id = ?', [bookingId], (err) => {
-        if (err) {
-          return res.status(500).json({ error: 'Failed to delete booking items' });
-        }
-
-        // Delete booking
-        db.run('DELETE FROM bookings WHERE id = ?', [bookingId], (err) => {
-          if (err) {
-            return res.status(500).json({ error: 'Failed to delete booking' });
-          }
-
-          res.json({ message: 'Booking deleted successfully' });
-        });
-      });
-    }
-  );
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { newestFirst } = require('../database/repository');
+const { authenticateToken, optionalAuthentication, requireCustomerOrAdmin, requirePermission, hasPermission } = require('../middleware/auth');
+const { priceBooking, priceItems, PricingError } = require('../pricing');
+const { promoCodeProblem, promoContext } = require('../pricing/promo-codes');
+const { offerProblem } = require('../pricing/offers');
+const { changeStatus, nextStatuses, TransitionError } = require('../bookings/lifecycle');
+const { markBooked, offerFreedPlaces } = require('../bookings/waitlist');
+const { getPolicy, changeProblem, cancellationFee } = require('../bookings/policy');
+const { paymentSummaries, settleBooking } = require('../payments/ledger');
+const {
+  MONTH_PATTERN, getRules, isValidDate, takenPlaces, dayAvailability, monthAvailability, bookingProblem, withDateLock
+} = require('../bookings/availability');
+
+const router = express.Router();
+
+// Month view of when bookings can be made (?month=YYYY-MM), for the
+// booking form's date picker. With eventType and numGuests, days too soon
+// for the event or without room for the guests show as unavailable. A
+// logged in customer's own waitlist holds show as free.
+router.get('/availability', optionalAuthentication, async (req, res) => {
+  const { month, eventType, numGuests } = req.query;
+
+  if (!MONTH_PATTERN.test(month || '')) {
+    return res.status(400).json({ success: false, error: 'month must be given as YYYY-MM' });
+  }
+
+  try {
+    const db = getDatabase();
+    const { rules, days } = await monthAvailability(db, month, {
+      eventType, numGuests, exceptUserId: req.user ? req.user.id : null
+    });
+
+    res.json({
+      success: true,
+      month,
+      slots: rules.slots,
+      // Only whether days and slots are free, not the other customers' bookings
+      days: days.map(({ date, available, reason, error, remainingGuests, slots }) => ({
+        date, available, reason, error, remainingGuests, slots
+      }))
+    });
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check availability'
+    });
+  }
+});
+
+// Check availability for a specific date
+router.get('/availability/:date', optionalAuthentication, async (req, res) => {
+  const { date } = req.params;
+  const { eventType, numGuests } = req.query;
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({ success: false, error: 'Please choose a valid event date' });
+  }
+
+  try {
+    const db = getDatabase();
+    const rules = await getRules(db);
+    const dateBookings = await takenPlaces(db, date, {
+      exceptUserId: req.user ? req.user.id : null
+    });
+    const day = dayAvailability(rules, date, dateBookings, { eventType, numGuests });
+
+    res.json({
+      success: true,
+      date: date,
+      available: day.available,
+      reason: day.reason,
+      error: day.error,
+      remainingGuests: day.remainingGuests,
+      slots: day.slots,
+      availableSlots: day.slots.filter(slot => slot.available).map(slot => slot.id)
+    });
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check availability'
+    });
+  }
+});
+
+// Add the customer's account details to a booking
+function withCustomer(booking, users) {
+  const user = users.find(u => u.id === booking.userId) ||
+    users.find(u => u.email === booking.customerEmail);
+
+  return {
+    ...booking,
+    customerName: booking.customerName || (user ? `${user.firstName} ${user.lastName}` : 'Unknown Customer'),
+    customerPhone: booking.customerPhone || (user ? user.phoneNumber : 'No phone'),
+    first_name: user?.firstName || 'Unknown',
+    last_name: user?.lastName || 'Customer',
+    email: user?.email || booking.customerEmail || 'No email',
+    phone_number: user?.phoneNumber || booking.customerPhone || 'No phone'
+  };
+}
+
+// The menu items the customer picked ({ itemId, quantity }), without the
+// ones an offer added for free
+function bookedMenuItems(booking) {
+  return (booking.items || [])
+    .filter(item => !item.offerId)
+    .map(item => ({ itemId: item.itemId, quantity: item.quantity }));
+}
+
+// Short text of a menu selection for the change history, e.g.
+// "2 × Fried Chicken, 1 × Lumpia"
+function menuSummary(items, menu) {
+  return [...items].sort((a, b) => a.itemId - b.itemId).map(item => {
+    const menuItem = menu.find(m => m.id === parseInt(item.itemId));
+    return `${item.quantity} × ${menuItem ? menuItem.itemName : `item #${item.itemId}`}`;
+  }).join(', ');
+}
+
+// 400 response listing the menu items that can't be booked
+function sendPricingError(res, error) {
+  return res.status(400).json({ error: error.message, code: error.code, problems: error.problems });
+}
+
+// A bookingProblem() answer as the response
+function unavailableResponse(res, unavailable) {
+  const status = ['INVALID_DATE', 'INVALID_SLOT'].includes(unavailable.reason) ? 400 : 409;
+  return res.status(status).json({ error: unavailable.error, code: 'DATE_UNAVAILABLE', reason: unavailable.reason });
+}
+
+// Price a changed booking with the offer and promo code it was made with,
+// checked again like a new booking's (the booking's own use of the code
+// doesn't count against its limits). One that no longer applies is
+// dropped. Resolves to { pricing, dropped: { offer?, promoCode? } } with
+// the reason for each one dropped.
+async function repriceChange(db, existing, menu, wanted) {
+  const dropped = {};
+  const order = { menuItems: wanted.menuItems, numGuests: wanted.numGuests };
+
+  let offer = existing.offerId ? await db.offers.findById(existing.offerId) : null;
+  const offerIssue = existing.offerId && offerProblem(offer);
+  if (offerIssue) {
+    dropped.offer = offerIssue;
+    offer = null;
+  }
+
+  let promoCode = existing.promoCode ? await db.promoCodes.findByCode(existing.promoCode) : null;
+  if (existing.promoCode) {
+    const own = promoCode && (promoCode.redemptions || []).some(r => r.bookingId === existing.bookingId && !r.releasedAt);
+    const others = promoCode && {
+      ...promoCode,
+      usageCount: Math.max(0, (promoCode.usageCount || 0) - (own ? 1 : 0)),
+      redemptions: (promoCode.redemptions || []).filter(r => r.bookingId !== existing.bookingId)
+    };
+    const owner = await db.users.findById(existing.userId);
+    const context = await promoContext(db, owner, {
+      subtotal: priceBooking(menu, order, { offer }).subtotal,
+      eventType: existing.eventType,
+      eventDate: wanted.eventDate,
+      offer
+    });
+    // The booking itself isn't an earlier booking of its customer
+    if (context.customerBookings) {
+      context.customerBookings -= 1;
+    }
+    const promoIssue = promoCodeProblem(others, context);
+    if (promoIssue) {
+      dropped.promoCode = promoIssue;
+      promoCode = null;
+    }
+  }
+
+  return { pricing: priceBooking(menu, order, { offer, promoCode }), dropped };
+}
+
+// Price breakdown of a booking before it is made (the booking form shows
+// it), with the effects of the offer booked from (offerId) and the discount
+// of promoCode when the code can be used for this event (and customer, when
+// logged in). An offer or code that can't be used is left out and the
+// reason given as offerError/offerReason or promoError/promoReason.
+router.post('/quote', optionalAuthentication, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { menuItems, numGuests, eventType, eventDate, offerId, promoCode: code } = req.body;
+    const menu = await db.menu.all();
+
+    let offer = null;
+    let offerIssue = null;
+    if (offerId) {
+      offer = await db.offers.findById(offerId);
+      offerIssue = offerProblem(offer);
+      if (offerIssue) {
+        offer = null;
+      }
+    }
+
+    let promoCode = null;
+    let promoProblem = null;
+    if (code) {
+      const subtotal = priceItems(menu, menuItems).reduce((sum, item) => sum + item.totalPrice, 0);
+      const context = await promoContext(db, req.user, { subtotal, eventType, eventDate, offer });
+      promoCode = await db.promoCodes.findByCode(code);
+      promoProblem = promoCodeProblem(promoCode, context);
+      if (promoProblem) {
+        promoCode = null;
+      }
+    }
+
+    res.json({
+      pricing: priceBooking(menu, { menuItems, numGuests }, { promoCode, offer }),
+      offerError: offerIssue ? offerIssue.error : null,
+      offerReason: offerIssue ? offerIssue.reason : null,
+      promoError: promoProblem ? promoProblem.error : null,
+      promoReason: promoProblem ? promoProblem.reason : null
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return sendPricingError(res, error);
+    }
+    console.error('Quote error:', error);
+    res.status(500).json({ error: 'Failed to price booking' });
+  }
+});
+
+// Get all bookings
+router.get('/', authenticateToken, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const bookings = await db.bookings.all();
+    const users = await db.users.all();
+    const payments = await paymentSummaries(db, bookings);
+
+    // Enhance bookings with user information, the statuses this user may
+    // move them to and where their payments stand
+    const enhancedBookings = bookings.map(booking => ({
+      ...withCustomer(booking, users),
+      nextStatuses: nextStatuses(db, req.user, booking),
+      payment: payments.get(booking.id)
+    }));
+
+    res.json({ bookings: enhancedBookings });
+  } catch (error) {
+    console.error('Error loading bookings:', error);
+    res.status(500).json({ error: 'Failed to load bookings' });
+  }
+});
+
+// Get the logged in customer's bookings
+router.get('/my-bookings', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 10 } = req.query;
+
+    const { items, pagination } = await db.bookings.paginate({
+      where: booking => db.bookings.belongsTo(booking, req.user),
+      sort: newestFirst,
+      page,
+      limit
+    });
+
+    const payments = await paymentSummaries(db, items);
+    res.json({ bookings: items.map(booking => ({ ...booking, payment: payments.get(booking.id) })), pagination });
+  } catch (error) {
+    console.error('Error loading bookings:', error);
+    res.status(500).json({ error: 'Failed to load bookings' });
+  }
+});
+
+// Get single booking
+router.get('/:id', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+    const isStaff = hasPermission(req.user, 'bookings.view');
+
+    if (!booking || (!isStaff && !db.bookings.belongsTo(booking, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const users = await db.users.all();
+    res.json({ booking: { ...withCustomer(booking, users), nextStatuses: nextStatuses(db, req.user, booking) } });
+  } catch (error) {
+    console.error('Error loading booking:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Create new booking for the logged in customer
+router.post('/', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const {
+      eventType, eventDate, timeSlot, eventVenue, numGuests, specialInstructions,
+      menuItems, customerName, customerPhone, offerId, promoCode: code
+    } = req.body;
+
+    if (!eventType || !eventDate || !eventVenue || !numGuests || !menuItems || !customerName) {
+      return res.status(400).json({ error: 'Missing required fields (eventType, eventDate, eventVenue, numGuests, menuItems, customerName)' });
+    }
+
+    const guests = parseInt(numGuests);
+    if (!(guests > 0)) {
+      return res.status(400).json({ error: 'Number of guests must be at least 1' });
+    }
+
+    const db = getDatabase();
+    const customer = await db.users.findById(req.user.id);
+
+    if (!customer) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    if (customer.emailVerified === false) {
+      return res.status(403).json({
+        error: 'Please verify your email address before making a booking',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // The offer booked from must still be running
+    let offer = null;
+    if (offerId) {
+      offer = await db.offers.findById(offerId);
+      const problem = offerProblem(offer);
+      if (problem) {
+        return res.status(400).json({ error: problem.error, code: 'INVALID_OFFER', reason: problem.reason });
+      }
+    }
+
+    // Prices come from the menu, never from the client
+    const menu = await db.menu.all();
+    let pricing = priceBooking(menu, { menuItems, numGuests: guests }, { offer });
+
+    // The date is checked and the booking saved under the date's lock, so
+    // two customers can't both get its last place
+    const created = await withDateLock(db, eventDate, async () => {
+      // The date and slot must be free, with room in the kitchen for the guests
+      const unavailable = await bookingProblem(db, { eventDate, timeSlot, eventType, numGuests: guests }, { userId: customer.id });
+      if (unavailable) {
+        return { unavailable };
+      }
+
+      const bookingId = await db.bookings.nextReference();
+
+      // Redeem the promo code (checked again, the form's check is only a
+      // preview) and take its discount off
+      let promoCode = null;
+      if (code) {
+        const context = await promoContext(db, customer, { subtotal: pricing.subtotal, eventType, eventDate, offer });
+        const redemption = await db.promoCodes.redeem(code, { bookingId, userId: customer.id },
+          record => promoCodeProblem(record, context));
+        if (redemption.problem) {
+          return { promoProblem: redemption.problem };
+        }
+        promoCode = redemption.promoCode;
+        pricing = priceBooking(menu, { menuItems, numGuests: guests }, { promoCode, offer });
+
+        // The offer took off more (promoStacking 'best'): the code isn't used
+        if (!pricing.promoCode) {
+          await db.promoCodes.release(promoCode.code, bookingId);
+          promoCode = null;
+        }
+      }
+
+      const booking = await db.bookings.create({
+        bookingId,
+        userId: customer.id,
+        customerName,
+        customerEmail: customer.email,
+        customerPhone: customerPhone || customer.phoneNumber || '',
+        eventType,
+        eventDate,
+        timeSlot,
+        eventVenue,
+        numGuests: guests,
+        specialInstructions: specialInstructions || '',
+        bookingStatus: 'pending',
+        subtotal: pricing.subtotal,
+        discounts: pricing.discounts,
+        offerId: pricing.offer ? pricing.offer.id : null,
+        promoCode: promoCode ? promoCode.code : null,
+        totalAmount: pricing.totalAmount,
+        items: pricing.items,
+        createdAt: new Date().toISOString()
+      }).catch(async error => {
+        // Don't use up the code for a booking that wasn't saved
+        await db.promoCodes.releaseFor({ promoCode: promoCode && promoCode.code, bookingId });
+        throw error;
+      });
+
+      // A customer booking a date they waited for leaves the waitlist (their
+      // hold there turns into this booking)
+      await markBooked(db, booking);
+      return { booking };
+    });
+
+    if (created.unavailable) {
+      return unavailableResponse(res, created.unavailable);
+    }
+    if (created.promoProblem) {
+      return res.status(400).json({
+        error: created.promoProblem.error,
+        code: 'INVALID_PROMO_CODE',
+        reason: created.promoProblem.reason
+      });
+    }
+
+    res.status(201).json({
+      message: 'Booking created successfully',
+      booking: created.booking,
+      pricing
+    });
+
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return sendPricingError(res, error);
+    }
+    console.error('Create booking error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// What the customer may still do with their booking under the booking
+// policy: whether they can change it (and until when) and what cancelling
+// it now would cost
+router.get('/:id/policy', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+
+    if (!booking || (!hasPermission(req.user, 'bookings.view') && !db.bookings.belongsTo(booking, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const policy = await getPolicy(db);
+    const problem = changeProblem(policy, booking);
+    res.json({
+      canChange: !problem,
+      changeError: problem ? problem.error : null,
+      changeCutoffDays: policy.changeCutoffDays,
+      canCancel: nextStatuses(db, req.user, booking).includes('cancelled'),
+      cancellation: cancellationFee(policy, booking),
+      cancellationTiers: policy.cancellationTiers
+    });
+  } catch (error) {
+    console.error('Error loading booking policy:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Change a booking ({ eventDate, timeSlot, numGuests, menuItems }, any of
+// them). Customers may change their own pending or confirmed bookings up
+// to the policy's cut-off; staff with bookings.status past it too. A new
+// date, slot or more guests must be available, and the booking is priced
+// again with the offer and promo code it was made with, dropping one that
+// no longer applies to the changed booking. With preview: true
+// nothing is saved and the changes and new pricing are returned.
+router.patch('/:id', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = await db.bookings.findById(req.params.id);
+    const isStaff = hasPermission(req.user, 'bookings.status');
+
+    if (!existing || (!isStaff && !db.bookings.belongsTo(existing, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const policy = await getPolicy(db);
+    const problem = changeProblem(policy, existing);
+    if (problem && !(isStaff && problem.reason === 'CHANGE_CUTOFF')) {
+      return res.status(409).json({ error: problem.error, code: problem.reason });
+    }
+
+    const { eventDate, timeSlot, numGuests, menuItems, preview } = req.body;
+    const wanted = {
+      eventDate: eventDate || existing.eventDate,
+      timeSlot: timeSlot || existing.timeSlot,
+      numGuests: numGuests !== undefined ? parseInt(numGuests) : existing.numGuests,
+      menuItems: menuItems || bookedMenuItems(existing)
+    };
+
+    if (!(wanted.numGuests > 0)) {
+      return res.status(400).json({ error: 'Number of guests must be at least 1' });
+    }
+
+    // The new date or slot, or room for more guests, must be free (lead
+    // times only count for a new date)
+    const moved = wanted.eventDate !== existing.eventDate || wanted.timeSlot !== existing.timeSlot;
+    const roomProblem = () => (moved || wanted.numGuests > existing.numGuests) && bookingProblem(db, {
+      eventDate: wanted.eventDate,
+      timeSlot: wanted.timeSlot,
+      eventType: wanted.eventDate !== existing.eventDate ? existing.eventType : undefined,
+      numGuests: wanted.numGuests
+    }, { userId: existing.userId, bookingId: existing.id });
+    const unavailable = await roomProblem();
+    if (unavailable) {
+      return unavailableResponse(res, unavailable);
+    }
+
+    const menu = await db.menu.all();
+    const { pricing, dropped } = await repriceChange(db, existing, menu, wanted);
+
+    // What changes, as { field: { from, to } }
+    const changes = {};
+    ['eventDate', 'timeSlot', 'numGuests'].forEach(field => {
+      if (wanted[field] !== existing[field]) {
+        changes[field] = { from: existing[field], to: wanted[field] };
+      }
+    });
+    const before = menuSummary(bookedMenuItems(existing), menu);
+    const after = menuSummary(bookedMenuItems(pricing), menu);
+    if (before !== after) {
+      changes.menuItems = { from: before, to: after };
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Nothing to change' });
+    }
+    // An offer or promo code that no longer applies comes off
+    if (existing.offerId && !pricing.offer) {
+      changes.offerId = { from: existing.offerId, to: null, ...(dropped.offer || {}) };
+    }
+    if (existing.promoCode && !pricing.promoCode) {
+      changes.promoCode = { from: existing.promoCode, to: null, ...(dropped.promoCode || {}) };
+    }
+    if (pricing.totalAmount !== existing.totalAmount) {
+      changes.totalAmount = { from: existing.totalAmount, to: pricing.totalAmount };
+    }
+
+    if (preview) {
+      return res.json({ changes, pricing });
+    }
+
+    // Checked again and saved under the new date's lock, so nobody takes
+    // the room meanwhile; only when nobody changed the booking since it was read
+    let stale = false;
+    let taken = null;
+    const booking = await withDateLock(db, wanted.eventDate, async () => {
+      taken = await roomProblem();
+      if (taken) {
+        return null;
+      }
+      return db.bookings.update(existing.id, current => {
+        if (current.bookingStatus !== existing.bookingStatus || current.updatedAt !== existing.updatedAt) {
+          stale = true;
+          return current;
+        }
+
+        const at = new Date().toISOString();
+        return {
+          ...current,
+          eventDate: wanted.eventDate,
+          timeSlot: wanted.timeSlot,
+          numGuests: wanted.numGuests,
+          subtotal: pricing.subtotal,
+          discounts: pricing.discounts,
+          offerId: pricing.offer ? pricing.offer.id : null,
+          promoCode: pricing.promoCode,
+          totalAmount: pricing.totalAmount,
+          items: pricing.items,
+          updatedAt: at,
+          changeHistory: [
+            ...(current.changeHistory || []),
+            { at, by: { id: req.user.id, email: req.user.email, userType: req.user.userType }, changes }
+          ]
+        };
+      });
+    });
+
+    if (taken) {
+      return unavailableResponse(res, taken);
+    }
+    if (stale) {
+      return res.status(409).json({ error: 'This booking was just changed. Please reload it and try again.', code: 'STALE_BOOKING' });
+    }
+
+    // The promo code no longer applies (its rules or the offer took off more)
+    if (existing.promoCode && !pricing.promoCode) {
+      await db.promoCodes.release(existing.promoCode, existing.bookingId);
+    }
+    // Room left behind goes to the waitlist
+    if (moved || wanted.numGuests < existing.numGuests) {
+      await offerFreedPlaces(db, existing.eventDate);
+    }
+    // A lower total may mean the deposit is now paid
+    let updated = booking;
+    if (changes.totalAmount) {
+      await settleBooking(db, booking.id);
+      updated = await db.bookings.findById(booking.id);
+    }
+
+    res.json({
+      message: 'Booking updated successfully',
+      booking: { ...updated, nextStatuses: nextStatuses(db, req.user, updated) },
+      changes,
+      pricing
+    });
+  } catch (error) {
+    if (error instanceof PricingError) {
+      return sendPricingError(res, error);
+    }
+    console.error('Change booking error:', error);
+    res.status(500).json({ error: 'Failed to change booking' });
+  }
+});
+
+// Update booking status ({ status, reason }). Staff move bookings along
+// the lifecycle as their role allows; customers may cancel their own, for
+// the fee the booking policy sets.
+router.patch('/:id/status', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const db = getDatabase();
+
+    const existing = await db.bookings.findById(req.params.id);
+    if (!existing || (!hasPermission(req.user, 'bookings.view') && !db.bookings.belongsTo(existing, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    let details = null;
+    if (status === 'cancelled' && !hasPermission(req.user, 'bookings.status')) {
+      const policy = await getPolicy(db);
+      details = current => ({ cancellationFee: cancellationFee(policy, current) });
+    }
+
+    const booking = await changeStatus(db, existing.id, status, { user: req.user, reason, details });
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    res.json({
+      message: 'Booking status updated successfully',
+      booking: { ...booking, nextStatuses: nextStatuses(db, req.user, booking) }
+    });
+  } catch (error) {
+    if (error instanceof TransitionError) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.error('Update booking status error:', error);
+    res.status(500).json({ error: 'Failed to update booking status' });
+  }
+});
+
+// History of a booking: status changes ([{ from, to, at, by, reason,
+// details }]) and changes to its details ([{ at, by, changes }])
+router.get('/:id/history', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+
+    if (!booking || (!hasPermission(req.user, 'bookings.view') && !db.bookings.belongsTo(booking, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    // Customers see which role made a change, not which staff member
+    const isStaff = hasPermission(req.user, 'bookings.view');
+    const forViewer = entry => isStaff ? entry : {
+      ...entry,
+      by: entry.by && { userType: entry.by.userType }
+    };
+
+    res.json({
+      bookingId: booking.bookingId,
+      bookingStatus: booking.bookingStatus,
+      history: (booking.statusHistory || []).map(forViewer),
+      changes: (booking.changeHistory || []).map(forViewer)
+    });
+  } catch (error) {
+    console.error('Error loading booking history:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Delete booking
+router.delete('/:id', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    // Check if user is admin or booking owner
+    if (!hasPermission(req.user, 'bookings.delete') && !db.bookings.belongsTo(booking, req.user)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Customers cancel (under the cancellation policy) rather than delete
+    if (!hasPermission(req.user, 'bookings.delete')) {
+      return res.status(403).json({ error: 'Please cancel the booking instead', code: 'CANCEL_INSTEAD' });
+    }
+
+    await db.bookings.remove(booking.id);
+    await db.promoCodes.releaseFor(booking); // so does a deleted one
+    await offerFreedPlaces(db, booking.eventDate);
+
+    res.json({ message: 'Booking deleted successfully' });
+  } catch (error) {
+    console.error('Delete booking error:', error);
+    res.status(500).json({ error: 'Failed to delete booking' });
+  }
+});
+
+module.exports = router;
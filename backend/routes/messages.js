@@ -1,293 +1,272 @@
-const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { getDatabase } = require('../database/init');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Send message to admin
-router.post('/', [
-  authenticateToken,
-  body('subject').notEmpty().trim().escape(),
-  body('messageContent').notEmpty().trim().escape()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { subject, messageContent } = req.body;
-  const db = getDatabase();
-  const messageId = `MSG-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
-
-  db.run(
-    `INSERT INTO admin_messages (message_id, user_id, subject, message_content)
-     VALUES (?, ?, ?, ?)`,
-    [messageId, req.user.id, subject, messageContent],
-    function(err) {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to send message' });
-      }
-
-      res.status(201).json({
-        message: 'Message sent successfully',
-        messageId: this.lastID
-      });
-    }
-  );
-});
-
-// Get user's messages
-router.get('/my-messages', authenticateToken, (req, res) => {
-  const db = getDatabase();
-  const { page = 1, limit = 10 } = req.query;
-  const offset = (page - 1) * limit;
-
-  db.all(
-    `SELECT * FROM admin_messages 
-     WHERE user_id = ? 
-     ORDER BY created_at DESC 
-     LIMIT ? OFFSET ?`,
-    [req.user.id, parseInt(limit), offset],
-    (err, messages) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      // Get total count
-      db.get(
-        'SELECT COUNT(*) as total FROM admin_messages WHERE user_id = ?',
-        [req.user.id],
-        (err, countResult) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-
-          res.json({
-            messages,
-            pagination: {
-              page: parseInt(page),
-              limit: parseInt(limit),
-              total: countResult.total,
-              pages: Math.ceil(countResult.total / limit)
-            }
-          });
-        }
-      );
-    }
-  );
-});
-
-// Get single message
-router.get('/:id', authenticateToken, (req, res) => {
-  const db = getDatabase();
-  const messageId = req.params.id;
-
-  db.get(
-    `SELECT * FROM admin_messages 
-     WHERE id = ? AND user_id = ?`,
-    [messageId, req.user.id],
-    (err, message) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!message) {
-        return res.status(404).json({ error: 'Message not found' });
-      }
-
-      res.json({ message });
-    }
-  );
-});
-
-// Admin: Get all messages
-router.get('/admin/all', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const { page = 1, limit = 10, status = '' } = req.query;
-  const offset = (page - 1) * limit;
-
-  let query = `
-    SELECT m.*, u.first_name, u.last_name, u.email
-    FROM admin_messages m
-    JOIN users u ON m.user_id = u.id
-  `;
-  const params = [];
-
-  if (status) {
-    query += ' WHERE m.message_status = ?';
-    params.push(status);
-  }
-
-  query += ' ORDER BY m.created_at DESC LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), offset);
-
-  db.all(query, params, (err, messages) => {
-    if (err) {
-      return res.status(500).json({ error: 'Database error' });
-    }
-
-    // Get total count
-    let countQuery = `
-      SELECT COUNT(*) as total
-      FROM admin_messages m
-      JOIN users u ON m.user_id = u.id
-    `;
-    const countParams = [];
-
-    if (status) {
-      countQuery += ' WHERE m.message_status = ?';
-      countParams.push(status);
-    }
-
-    db.get(countQuery, countParams, (err, countResult) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      res.json({
-        messages,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: countResult.total,
-          pages: Math.ceil(countResult.total / limit)
-        }
-      });
-    });
-  });
-});
-
-// Admin: Get single message
-router.get('/admin/:id', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-  const messageId = req.params.id;
-
-  db.get(
-    `SELECT m.*, u.first_name, u.last_name, u.email, u.phone_number
-     FROM admin_messages m
-     JOIN users u ON m.user_id = u.id
-     WHERE m.id = ?`,
-    [messageId],
-    (err, message) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (!message) {
-        return res.status(404).json({ error: 'Message not found' });
-      }
-
-      res.json({ message });
-    }
-  );
-});
-
-// Admin: Respond to message
-router.post('/admin/:id/respond', [
-  authenticateToken,
-  requireAdmin,
-  body('adminResponse').notEmpty().trim().escape()
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { adminResponse } = req.body;
-  const messageId = req.params.id;
-  const db = getDatabase();
-
-  db.run(
-    `UPDATE admin_messages 
-     SET admin_response = ?, message_status = 'replied', updated_at = CURRENT_TIMESTAMP 
-     WHERE id = ?`,
-    [adminResponse, messageId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to respond to message' });
-      }
-
-      res.json({ message: 'Response sent successfully' });
-    }
-  );
-});
-
-// Admin: Update message status
-router.patch('/admin/:id/status', [
-  authenticateToken,
-  requireAdmin,
-  body('status').isIn(['unread', 'read', 'replied'])
-], (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-
-  const { status } = req.body;
-  const messageId = req.params.id;
-  const db = getDatabase();
-
-  db.run(
-    'UPDATE admin_messages SET message_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-    [status, messageId],
-    (err) => {
-      if (err) {
-        return res.status(500).json({ error: 'Failed to update message status' });
-      }
-
-      res.json({ message: 'Message status updated successfully' });
-    }
-  );
-});
-
-// Admin: Get message statistics
-router.get('/admin/statistics', authenticateToken, requireAdmin, (req, res) => {
-  const db = getDatabase();
-
-  const queries = {
-    totalMessages: 'SELECT COUNT(*) as count FROM admin_messages',
-    unreadMessages: 'SELECT COUNT(*) as count FROM admin_messages WHERE message_status = "unread"',
-    repliedMessages: 'SELECT COUNT(*) as count FROM admin_messages WHERE message_status = "replied"',
-    recentMessages: `
-      SELECT m.*, u.first_name, u.last_name, u.email
-      FROM admin_messages m
-      JOIN users u ON m.user_id = u.id
-      ORDER BY m.created_at DESC
-      LIMIT 5
-    `
-  };
-
-  const results = {};
-  let completed = 0;
-  const totalQueries = Object.keys(queries).length;
-
-  Object.keys(queries).forEach(key => {
-    db.all(queries[key], (err, rows) => {
-      if (err) {
-        console.error(`Error in query ${key}:`, err);
-        results[key] = key.includes('recent') ? [] : 0;
-      } else {
-        if (key.includes('recent')) {
-          results[key] = rows;
-        } else {
-          results[key] = rows[0].count || 0;
-        }
-      }
-
-      completed++;
-      if (completed === totalQueries) {
-        res.json({
-          statistics: {
-            totalMessages: results.totalMessages,
-            unreadMessages: results.unreadMessages,
-            repliedMessages: results.repliedMessages
-          },
-          recentMessages: results.recentMessages
-        });
-      }
-    });
-  });
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getDatabase } = require('../database/init');
+const { newestFirst } = require('../database/repository');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Add the sender's account details to a message
+function withSender(message, users) {
+  const user = users.find(u => u.email === message.userEmail);
+  return {
+    ...message,
+    first_name: user?.firstName || message.userName,
+    last_name: user?.lastName || '',
+    email: message.userEmail,
+    phone_number: user?.phoneNumber || ''
+  };
+}
+
+// Customer: send message as the logged in user
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { userName, subject, messageContent } = req.body;
+    if (!subject || !messageContent) {
+      return res.status(400).json({ error: 'subject and messageContent are required' });
+    }
+
+    const db = getDatabase();
+    const userEmail = req.user.email;
+    const newMessage = await db.messages.create({
+      messageId: `MSG-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
+      userEmail,
+      userName: userName || userEmail.split('@')[0],
+      subject,
+      messageContent,
+      adminResponse: '',
+      messageStatus: 'unread',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: newMessage
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// Get the logged in user's messages (unpaginated)
+router.get('/my', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const messages = await db.messages.filter(m => m.userEmail === req.user.email);
+    res.json({ messages });
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get user's messages
+router.get('/my-messages', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 10 } = req.query;
+
+    const { items, pagination } = await db.messages.paginate({
+      where: m => m.userEmail === req.user.email,
+      sort: newestFirst,
+      page,
+      limit
+    });
+
+    res.json({ messages: items, pagination });
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin: get all messages
+router.get('/admin', authenticateToken, requirePermission('messages.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const messages = await db.messages.all();
+    res.json({ messages: messages.sort(newestFirst) });
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin: Get all messages (paginated)
+router.get('/admin/all', authenticateToken, requirePermission('messages.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { page = 1, limit = 10, status = '' } = req.query;
+
+    const { items, pagination } = await db.messages.paginate({
+      where: m => !status || m.messageStatus === status,
+      sort: newestFirst,
+      page,
+      limit
+    });
+
+    const users = await db.users.all();
+    res.json({
+      messages: items.map(message => withSender(message, users)),
+      pagination
+    });
+  } catch (error) {
+    console.error('Error loading messages:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin: Get message statistics
+router.get('/admin/statistics', authenticateToken, requirePermission('messages.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const messages = await db.messages.all();
+    const users = await db.users.all();
+
+    res.json({
+      statistics: {
+        totalMessages: messages.length,
+        unreadMessages: messages.filter(m => m.messageStatus === 'unread').length,
+        repliedMessages: messages.filter(m => m.messageStatus === 'replied').length
+      },
+      recentMessages: messages.sort(newestFirst).slice(0, 5).map(message => withSender(message, users))
+    });
+  } catch (error) {
+    console.error('Error loading message statistics:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Admin: Get single message
+router.get('/admin/:id', authenticateToken, requirePermission('messages.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const message = await db.messages.findById(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const users = await db.users.all();
+    res.json({ message: withSender(message, users) });
+  } catch (error) {
+    console.error('Error loading message:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Save an admin reply; resolves to the updated message or null
+function saveResponse(id, adminResponse) {
+  const db = getDatabase();
+  return db.messages.update(id, {
+    adminResponse,
+    messageStatus: 'replied',
+    updatedAt: new Date().toISOString()
+  });
+}
+
+// Admin: Respond to message
+router.post('/admin/:id/respond', [
+  authenticateToken,
+  requirePermission('messages.reply'),
+  body('adminResponse').notEmpty().trim().escape()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const msg = await saveResponse(req.params.id, req.body.adminResponse);
+    if (!msg) return res.status(404).json({ error: 'Message not found' });
+
+    res.json({ message: 'Response sent successfully' });
+  } catch (error) {
+    console.error('Respond to message error:', error);
+    res.status(500).json({ error: 'Failed to respond to message' });
+  }
+});
+
+// Admin: Update message status
+router.patch('/admin/:id/status', [
+  authenticateToken,
+  requirePermission('messages.reply'),
+  body('status').isIn(['unread', 'read', 'replied'])
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const db = getDatabase();
+    const msg = await db.messages.update(req.params.id, {
+      messageStatus: req.body.status,
+      updatedAt: new Date().toISOString()
+    });
+    if (!msg) return res.status(404).json({ error: 'Message not found' });
+
+    res.json({ message: 'Message status updated successfully' });
+  } catch (error) {
+    console.error('Update message status error:', error);
+    res.status(500).json({ error: 'Failed to update message status' });
+  }
+});
+
+// Admin: respond to a message
+router.post('/:id/respond', authenticateToken, requirePermission('messages.reply'), async (req, res) => {
+  try {
+    const { adminResponse } = req.body;
+    if (!adminResponse) return res.status(400).json({ error: 'adminResponse is required' });
+
+    const msg = await saveResponse(req.params.id, adminResponse);
+    if (!msg) return res.status(404).json({ error: 'Message not found' });
+
+    res.json({ message: 'Response saved', data: msg });
+  } catch (error) {
+    console.error('Respond to message error:', error);
+    res.status(500).json({ error: 'Failed to respond to message' });
+  }
+});
+
+// Admin: update message status (unread, read, replied)
+router.patch('/:id/status', authenticateToken, requirePermission('messages.reply'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const allowed = ['unread', 'read', 'replied'];
+    if (!allowed.includes(status)) return res.status(400).json({ error: 'Invalid status' });
+
+    const db = getDatabase();
+    const msg = await db.messages.update(req.params.id, {
+      messageStatus: status,
+      updatedAt: new Date().toISOString()
+    });
+    if (!msg) return res.status(404).json({ error: 'Message not found' });
+
+    res.json({ message: 'Status updated', data: msg });
+  } catch (error) {
+    console.error('Update message status error:', error);
+    res.status(500).json({ error: 'Failed to update message status' });
+  }
+});
+
+// Get single message
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const message = await db.messages.findById(req.params.id);
+
+    if (!message || message.userEmail !== req.user.email) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ message });
+  } catch (error) {
+    console.error('Error loading message:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { authenticateToken, requireCustomerOrAdmin, requirePermission, hasPermission } = require('../middleware/auth');
+const { parseSchedule } = require('../payments/schedule');
+const {
+  PAYMENT_METHODS, PaymentError, bookingPayments, settleBooking, recordPayment, setPaymentStatus, refundPayment,
+  overdueBookings
+} = require('../payments/ledger');
+const { publicIntent, startCheckout, handleProviderEvent } = require('../payments/checkout');
+const { getPaymentProvider } = require('../payments/providers');
+
+const router = express.Router();
+
+function paymentErrorResponse(res, error) {
+  return res.status(error.status).json({ error: error.message, code: error.code });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// The simulator's pages only exist while it is the payment provider
+function requireSimulator(req, res, next) {
+  if (getPaymentProvider().name !== 'simulator') {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  next();
+}
+
+// Bookings with overdue payments (staff)
+router.get('/overdue', authenticateToken, requirePermission('receipts.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ bookings: await overdueBookings(db) });
+  } catch (error) {
+    console.error('Error loading overdue payments:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// A booking's payment schedule, balance and payments (the customer or staff)
+router.get('/booking/:bookingId', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findByReference(req.params.bookingId);
+    const isStaff = hasPermission(req.user, 'receipts.view');
+
+    if (!booking || (!isStaff && !db.bookings.belongsTo(booking, req.user))) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const { summary, payments } = await bookingPayments(db, booking);
+    res.json({
+      bookingId: booking.bookingId,
+      bookingStatus: booking.bookingStatus,
+      customSchedule: Array.isArray(booking.paymentSchedule) && booking.paymentSchedule.length > 0,
+      summary,
+      payments,
+      methods: PAYMENT_METHODS
+    });
+  } catch (error) {
+    console.error('Error loading payments:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Record a payment towards a booking ({ amount, method, reference, status,
+// receivedAt, note }); 'pending' for payments that still have to clear
+router.post('/booking/:bookingId', authenticateToken, requirePermission('payments.update'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findByReference(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const payment = await recordPayment(db, booking, req.body || {}, req.user);
+    const { summary } = await bookingPayments(db, booking);
+    res.status(201).json({ message: 'Payment recorded successfully', payment, summary });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return paymentErrorResponse(res, error);
+    }
+    console.error('Record payment error:', error);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// Pay towards a booking online ({ amount }, default what is due next; the
+// customer). Send an Idempotency-Key header so a retried request returns
+// the checkout the first one started instead of starting another.
+router.post('/booking/:bookingId/checkout', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findByReference(req.params.bookingId);
+
+    if (!booking || !db.bookings.belongsTo(booking, req.user)) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const { intent, reused } = await startCheckout(db, booking, {
+      amount: (req.body || {}).amount,
+      user: req.user,
+      idempotencyKey: String(req.get('Idempotency-Key') || '').trim()
+    });
+    res.status(reused ? 200 : 201).json({
+      message: 'Checkout started, continue to the payment page',
+      intent: publicIntent(intent)
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return paymentErrorResponse(res, error);
+    }
+    console.error('Start checkout error:', error);
+    res.status(500).json({ error: 'Failed to start the payment' });
+  }
+});
+
+// Give a booking its own payment schedule ({ installments: [{ label,
+// percent, dueDate }] })
+router.put('/booking/:bookingId/schedule', authenticateToken, requirePermission('payments.update'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findByReference(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const { installments, error } = parseSchedule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.bookings.update(booking.id, { paymentSchedule: installments, updatedAt: new Date().toISOString() });
+    const { summary } = await settleBooking(db, booking.id);
+    res.json({ message: 'Payment schedule updated successfully', summary });
+  } catch (error) {
+    console.error('Update payment schedule error:', error);
+    res.status(500).json({ error: 'Failed to update payment schedule' });
+  }
+});
+
+// Put a booking back on the standard payment terms
+router.delete('/booking/:bookingId/schedule', authenticateToken, requirePermission('payments.update'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const booking = await db.bookings.findByReference(req.params.bookingId);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    await db.bookings.update(booking.id, { paymentSchedule: null, updatedAt: new Date().toISOString() });
+    const { summary } = await settleBooking(db, booking.id);
+    res.json({ message: 'Payment schedule reset to the standard terms', summary });
+  } catch (error) {
+    console.error('Reset payment schedule error:', error);
+    res.status(500).json({ error: 'Failed to reset payment schedule' });
+  }
+});
+
+// Mark a pending payment cleared or failed ({ status, note })
+router.patch('/:id/status', authenticateToken, requirePermission('payments.update'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { status, note } = req.body || {};
+    const payment = await setPaymentStatus(db, req.params.id, status, req.user, note);
+
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json({ message: `Payment marked ${payment.status}`, payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return paymentErrorResponse(res, error);
+    }
+    console.error('Update payment status error:', error);
+    res.status(500).json({ error: 'Failed to update payment' });
+  }
+});
+
+// Refund part or all of a cleared payment ({ amount, reason }). Payments
+// taken online are refunded through the payment provider; send an
+// Idempotency-Key header so a retried request doesn't refund twice.
+router.post('/:id/refund', authenticateToken, requirePermission('payments.update'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { amount, reason } = req.body || {};
+    const result = await refundPayment(db, req.params.id, {
+      amount,
+      reason,
+      idempotencyKey: String(req.get('Idempotency-Key') || '').trim()
+    }, req.user);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    const message = result.refund.status === 'succeeded' ? 'Refund completed' : 'Refund requested';
+    res.json({ message, payment: result.payment, refund: result.refund });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return paymentErrorResponse(res, error);
+    }
+    console.error('Refund payment error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// An online payment's progress (its customer or staff), e.g. for the
+// customer's page to show once the payment provider sends them back
+router.get('/intents/:reference', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const intent = await db.paymentIntents.findOne(record => record.reference === req.params.reference);
+
+    if (!intent || (intent.userId !== req.user.id && !hasPermission(req.user, 'receipts.view'))) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    res.json({ intent: publicIntent(intent) });
+  } catch (error) {
+    console.error('Error loading payment intent:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Webhooks of the payment provider. Anything but a 2xx makes the gateway
+// send the event again later, so only a bad signature is turned away for
+// good; events already handled are acknowledged again.
+router.post('/webhooks/:provider', async (req, res) => {
+  const provider = getPaymentProvider();
+  if (req.params.provider !== provider.name) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.rawBody || '', req.headers);
+  } catch (error) {
+    event = null;
+  }
+  if (!event) {
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const outcome = await handleProviderEvent(getDatabase(), provider.name, event);
+    res.json({ received: true, outcome });
+  } catch (error) {
+    console.error(`Payment webhook ${event.id} failed:`, error);
+    res.status(500).json({ error: 'Failed to handle the event' });
+  }
+});
+
+// Simulator checkout page: pay or fail the intent, or go back
+router.get('/simulator/checkout/:providerRef', requireSimulator, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const intent = await db.paymentIntents.findOne(record =>
+      record.provider === 'simulator' && record.providerRef === req.params.providerRef);
+
+    if (!intent) {
+      return res.status(404).send('Checkout not found');
+    }
+
+    const open = intent.status === 'open';
+    res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Payment simulator</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 420px; margin: 60px auto; padding: 0 20px; color: #333; }
+    .amount { font-size: 32px; font-weight: bold; margin: 10px 0 20px; }
+    button { padding: 10px 18px; margin: 4px 4px 4px 0; border: none; border-radius: 5px; cursor: pointer; }
+    .pay { background: #28a745; color: white; }
+    .fail { background: #dc3545; color: white; }
+    .note { color: #888; font-size: 13px; margin-top: 30px; }
+  </style>
+</head>
+<body>
+  <h2>Payment simulator</h2>
+  <p>${escapeHtml(intent.description)}</p>
+  <div class="amount">&#8369;${intent.amount.toFixed(2)}</div>
+  ${open ? `<form method="post">
+    <label>Pay with
+      <select name="method">
+        <option value="gcash">GCash</option>
+        <option value="card">Card</option>
+      </select>
+    </label>
+    <p>
+      <button class="pay" name="outcome" value="paid">Pay</button>
+      <button class="fail" name="outcome" value="failed">Fail payment</button>
+      <button name="outcome" value="cancel">Cancel</button>
+    </p>
+  </form>` : `<p>This checkout is ${escapeHtml(intent.status)}.</p>`}
+  <p class="note">No money is taken: this page stands in for the payment gateway.</p>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Error loading simulator checkout:', error);
+    res.status(500).send('Database error');
+  }
+});
+
+// The simulator sends the chosen outcome as a signed webhook, then sends
+// the customer back like a gateway would
+router.post('/simulator/checkout/:providerRef', requireSimulator, express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const intent = await db.paymentIntents.findOne(record =>
+      record.provider === 'simulator' && record.providerRef === req.params.providerRef);
+
+    if (!intent) {
+      return res.status(404).send('Checkout not found');
+    }
+
+    const { outcome, method } = req.body || {};
+    if (outcome !== 'paid' && outcome !== 'failed') {
+      return res.redirect(303, intent.cancelUrl);
+    }
+    if (intent.status === 'open') {
+      const { delivered } = await getPaymentProvider().sendOutcome({
+        outcome,
+        providerRef: intent.providerRef,
+        amount: intent.amount,
+        method: method === 'card' ? 'card' : 'gcash'
+      });
+      if (!delivered) {
+        return res.status(502).send('The payment webhook was not accepted, see the server log');
+      }
+    }
+    res.redirect(303, intent.successUrl);
+  } catch (error) {
+    console.error('Simulator checkout error:', error);
+    res.status(500).send('Simulator error');
+  }
+});
+
+module.exports = router;
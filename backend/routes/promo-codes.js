@@ -1,239 +1,212 @@
-const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-
-const router = express.Router();
-
-// Helper functions
-async function readPromoData() {
-  try {
-    const promoPath = path.join(__dirname, '../data/promo-codes.json');
-    const data = await fs.readFile(promoPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading promo codes data:', error);
-    return [];
-  }
-}
-
-async function writePromoData(promoCodes) {
-  try {
-    const promoPath = path.join(__dirname, '../data/promo-codes.json');
-    await fs.writeFile(promoPath, JSON.stringify(promoCodes, null, 2));
-    return true;
-  } catch (error) {
-    console.error('Error writing promo codes data:', error);
-    return false;
-  }
-}
-
-// Get all promo codes
-router.get('/', async (req, res) => {
-  try {
-    const promoCodes = await readPromoData();
-    res.json({ success: true, promoCodes });
-  } catch (error) {
-    console.error('Error fetching promo codes:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch promo codes' });
-  }
-});
-
-// Validate promo code (for user bookings)
-router.post('/validate', async (req, res) => {
-  try {
-    const { code } = req.body;
-    
-    if (!code) {
-      return res.status(400).json({ success: false, error: 'Promo code is required' });
-    }
-    
-    const promoCodes = await readPromoData();
-    const promoCode = promoCodes.find(p => p.code.toUpperCase() === code.toUpperCase());
-    
-    if (!promoCode) {
-      return res.status(404).json({ success: false, error: 'Invalid promo code' });
-    }
-    
-    // Check if promo code is active
-    if (!promoCode.active) {
-      return res.status(400).json({ success: false, error: 'Promo code is no longer active' });
-    }
-    
-    // Check date validity
-    const now = new Date();
-    if (promoCode.startAt && new Date(promoCode.startAt) > now) {
-      return res.status(400).json({ success: false, error: 'Promo code is not yet active' });
-    }
-    
-    if (promoCode.endAt && new Date(promoCode.endAt) < now) {
-      return res.status(400).json({ success: false, error: 'Promo code has expired' });
-    }
-    
-    // Check usage limit
-    if (promoCode.usageLimit && promoCode.usageCount >= promoCode.usageLimit) {
-      return res.status(400).json({ success: false, error: 'Promo code usage limit reached' });
-    }
-    
-    res.json({ success: true, promoCode });
-  } catch (error) {
-    console.error('Error validating promo code:', error);
-    res.status(500).json({ success: false, error: 'Failed to validate promo code' });
-  }
-});
-
-// Create new promo code
-router.post('/', async (req, res) => {
-  try {
-    const { code, discountPercent, description, usageLimit, startAt, endAt, active = true } = req.body;
-    
-    if (!code || !discountPercent) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Code and discount percentage are required' 
-      });
-    }
-    
-    if (discountPercent < 1 || discountPercent > 100) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Discount percentage must be between 1 and 100' 
-      });
-    }
-    
-    const promoCodes = await readPromoData();
-    
-    // Check if code already exists
-    const existingCode = promoCodes.find(p => p.code.toUpperCase() === code.toUpperCase());
-    if (existingCode) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Promo code already exists' 
-      });
-    }
-    
-    // Generate new ID
-    const newId = promoCodes.length > 0 ? Math.max(...promoCodes.map(p => p.id || 0)) + 1 : 1;
-    
-    const newPromoCode = {
-      id: newId,
-      code: code.toUpperCase().trim(),
-      discountPercent: parseInt(discountPercent),
-      description: description || '',
-      usageLimit: usageLimit ? parseInt(usageLimit) : null,
-      usageCount: 0,
-      startAt: startAt || new Date().toISOString(),
-      endAt: endAt || null,
-      active: Boolean(active),
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    promoCodes.push(newPromoCode);
-    
-    const success = await writePromoData(promoCodes);
-    
-    if (!success) {
-      return res.status(500).json({ success: false, error: 'Failed to save promo code' });
-    }
-    
-    res.status(201).json({ success: true, promoCode: newPromoCode });
-  } catch (error) {
-    console.error('Error creating promo code:', error);
-    res.status(500).json({ success: false, error: 'Failed to create promo code' });
-  }
-});
-
-// Update promo code
-router.put('/:id', async (req, res) => {
-  try {
-    const promoId = parseInt(req.params.id);
-    const updates = req.body;
-    
-    const promoCodes = await readPromoData();
-    const promoIndex = promoCodes.findIndex(promo => promo.id === promoId);
-    
-    if (promoIndex === -1) {
-      return res.status(404).json({ success: false, error: 'Promo code not found' });
-    }
-    
-    // Update promo code with new data
-    const currentPromo = promoCodes[promoIndex];
-    const updatedPromo = {
-      ...currentPromo,
-      ...updates,
-      id: promoId, // Ensure ID doesn't change
-      updatedAt: new Date().toISOString()
-    };
-    
-    promoCodes[promoIndex] = updatedPromo;
-    
-    const success = await writePromoData(promoCodes);
-    
-    if (!success) {
-      return res.status(500).json({ success: false, error: 'Failed to save promo code' });
-    }
-    
-    res.json({ success: true, promoCode: updatedPromo });
-  } catch (error) {
-    console.error('Error updating promo code:', error);
-    res.status(500).json({ success: false, error: 'Failed to update promo code' });
-  }
-});
-
-// Toggle promo code status
-router.patch('/:id/toggle', async (req, res) => {
-  try {
-    const promoId = parseInt(req.params.id);
-    const { active } = req.body;
-    
-    const promoCodes = await readPromoData();
-    const promoIndex = promoCodes.findIndex(promo => promo.id === promoId);
-    
-    if (promoIndex === -1) {
-      return res.status(404).json({ success: false, error: 'Promo code not found' });
-    }
-    
-    promoCodes[promoIndex].active = Boolean(active);
-    promoCodes[promoIndex].updatedAt = new Date().toISOString();
-    
-    const success = await writePromoData(promoCodes);
-    
-    if (!success) {
-      return res.status(500).json({ success: false, error: 'Failed to update promo code' });
-    }
-    
-    res.json({ success: true, promoCode: promoCodes[promoIndex] });
-  } catch (error) {
-    console.error('Error toggling promo code:', error);
-    res.status(500).json({ success: false, error: 'Failed to toggle promo code' });
-  }
-});
-
-// Delete promo code
-router.delete('/:id', async (req, res) => {
-  try {
-    const promoId = parseInt(req.params.id);
-    
-    const promoCodes = await readPromoData();
-    const promoIndex = promoCodes.findIndex(promo => promo.id === promoId);
-    
-    if (promoIndex === -1) {
-      return res.status(404).json({ success: false, error: 'Promo code not found' });
-    }
-    
-    const deletedPromo = promoCodes.splice(promoIndex, 1)[0];
-    
-    const success = await writePromoData(promoCodes);
-    
-    if (!success) {
-      return res.status(500).json({ success: false, error: 'Failed to delete promo code' });
-    }
-    
-    res.json({ success: true, deletedPromo });
-  } catch (error) {
-    console.error('Error deleting promo code:', error);
-    res.status(500).json({ success: false, error: 'Failed to delete promo code' });
-  }
-});
-
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { createSnapshot } = require('../database/backups');
+const { authenticateToken, optionalAuthentication, requireAdmin } = require('../middleware/auth');
+const { priceItems, PricingError } = require('../pricing');
+const { promoCodeProblem, promoContext, parsePromoCodeFields } = require('../pricing/promo-codes');
+
+const router = express.Router();
+
+// Promo code as shown to anyone: without the bookings that redeemed it
+function publicPromoCode({ redemptions, ...promoCode }) {
+  return promoCode;
+}
+
+// Get all promo codes
+router.get('/', async (req, res) => {
+  try {
+    const db = getDatabase();
+    const promoCodes = await db.promoCodes.all();
+    res.json({ success: true, promoCodes: promoCodes.map(publicPromoCode) });
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch promo codes' });
+  }
+});
+
+// Validate promo code (for user bookings). The booking form sends what it
+// knows so far (menuItems, eventType, eventDate, offerId) so the code's
+// rules can be checked against it; reason says which rule failed.
+router.post('/validate', optionalAuthentication, async (req, res) => {
+  try {
+    const { code, menuItems, eventType, eventDate, offerId } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Promo code is required' });
+    }
+    
+    const db = getDatabase();
+    const promoCode = await db.promoCodes.findByCode(code);
+    
+    if (!promoCode) {
+      return res.status(404).json({ success: false, error: 'Invalid promo code', reason: 'NOT_FOUND' });
+    }
+    
+    // The subtotal rule is left for later while no (valid) menu is picked
+    let subtotal;
+    if (menuItems && menuItems.length > 0) {
+      try {
+        subtotal = priceItems(await db.menu.all(), menuItems).reduce((sum, item) => sum + item.totalPrice, 0);
+      } catch (error) {
+        if (!(error instanceof PricingError)) {
+          throw error;
+        }
+      }
+    }
+    
+    // Same rules as redeeming the code with a booking
+    const offer = offerId ? await db.offers.findById(offerId) : null;
+    const context = await promoContext(db, req.user, { subtotal, eventType, eventDate, offer });
+    const problem = promoCodeProblem(promoCode, context);
+    if (problem) {
+      return res.status(400).json({ success: false, error: problem.error, reason: problem.reason });
+    }
+    
+    res.json({ success: true, promoCode: publicPromoCode(promoCode) });
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to validate promo code' });
+  }
+});
+
+// Create new promo code
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code, description, usageLimit, startAt, endAt, active = true } = req.body;
+    const { fields, error } = parsePromoCodeFields({ discountType: 'percent', rules: {}, ...req.body });
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const discount = fields.discountType === 'fixed' ? fields.discountAmount : fields.discountPercent;
+    if (!code || !discount) {
+      return res.status(400).json({ 
+        success: false, 
+        error: fields.discountType === 'fixed'
+          ? 'Code and discount amount are required'
+          : 'Code and discount percentage are required'
+      });
+    }
+    
+    const db = getDatabase();
+    
+    // Check if code already exists
+    const existingCode = await db.promoCodes.findOne(p => p.code.toUpperCase() === code.toUpperCase());
+    if (existingCode) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Promo code already exists' 
+      });
+    }
+    
+    const newPromoCode = await db.promoCodes.create({
+      code: code.toUpperCase().trim(),
+      discountType: fields.discountType,
+      discountPercent: fields.discountType === 'percent' ? fields.discountPercent : null,
+      discountAmount: fields.discountType === 'fixed' ? fields.discountAmount : null,
+      rules: fields.rules,
+      description: description || '',
+      usageLimit: usageLimit ? parseInt(usageLimit) : null,
+      usageCount: 0,
+      startAt: startAt || new Date().toISOString(),
+      endAt: endAt || null,
+      active: Boolean(active),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.status(201).json({ success: true, promoCode: newPromoCode });
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to create promo code' });
+  }
+});
+
+// Update promo code
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { redemptions, usageCount, ...updates } = req.body;
+    const { fields, error } = parsePromoCodeFields(updates);
+    
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    
+    const db = getDatabase();
+    const existing = await db.promoCodes.findById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Promo code not found' });
+    }
+    
+    // A code always has the discount of its type
+    const discountType = fields.discountType || existing.discountType || 'percent';
+    const discount = discountType === 'fixed'
+      ? fields.discountAmount || existing.discountAmount
+      : fields.discountPercent || existing.discountPercent;
+    if (!discount) {
+      return res.status(400).json({
+        success: false,
+        error: discountType === 'fixed' ? 'Discount amount is required' : 'Discount percentage is required'
+      });
+    }
+    
+    // Update promo code with new data
+    const updatedPromo = await db.promoCodes.update(existing.id, {
+      ...updates,
+      ...fields,
+      updatedAt: new Date().toISOString()
+    });
+    
+    res.json({ success: true, promoCode: updatedPromo });
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to update promo code' });
+  }
+});
+
+// Toggle promo code status
+router.patch('/:id/toggle', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { active } = req.body;
+    
+    const db = getDatabase();
+    const promoCode = await db.promoCodes.update(req.params.id, {
+      active: Boolean(active),
+      updatedAt: new Date().toISOString()
+    });
+    
+    if (!promoCode) {
+      return res.status(404).json({ success: false, error: 'Promo code not found' });
+    }
+    
+    res.json({ success: true, promoCode });
+  } catch (error) {
+    console.error('Error toggling promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to toggle promo code' });
+  }
+});
+
+// Delete promo code
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const existing = await db.promoCodes.findById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Promo code not found' });
+    }
+
+    // Keep a restorable copy of the data before deleting
+    await createSnapshot(db, `delete-promo-code-${existing.id}`);
+    const deletedPromo = await db.promoCodes.remove(existing.id);
+    
+    res.json({ success: true, deletedPromo });
+  } catch (error) {
+    console.error('Error deleting promo code:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete promo code' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,147 @@
+const express = require('express');
+const { getDatabase } = require('../database/init');
+const { newestFirst } = require('../database/repository');
+const { authenticateToken, requireCustomerOrAdmin, requirePermission } = require('../middleware/auth');
+const { getRules, takenPlaces, dayAvailability } = require('../bookings/availability');
+const { isActive, positionOf, leaveWaitlist, waitlistDemand } = require('../bookings/waitlist');
+
+const router = express.Router();
+
+// Reasons a date is unavailable that a waitlist can wait out (a booking
+// may be cancelled); the others (past, lead time, blackout) it can't
+const FULL_REASONS = ['FULLY_BOOKED', 'GUEST_CAPACITY', 'SLOT_TAKEN'];
+
+// Join the waitlist for a fully booked date ({ eventDate, timeSlot,
+// eventType, numGuests, eventVenue, specialInstructions }); no timeSlot
+// means any slot will do
+router.post('/', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const { eventDate, timeSlot, eventType, numGuests, eventVenue, specialInstructions } = req.body;
+
+    if (!eventDate || !eventType || !(parseInt(numGuests) > 0)) {
+      return res.status(400).json({ error: 'Missing required fields (eventDate, eventType, numGuests)' });
+    }
+
+    const db = getDatabase();
+    const customer = await db.users.findById(req.user.id);
+    if (!customer) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    // Same as booking: a hold offered later turns into a booking
+    if (customer.emailVerified === false) {
+      return res.status(403).json({
+        error: 'Please verify your email address before joining the waitlist',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const rules = await getRules(db);
+    if (timeSlot && !rules.slots.some(slot => slot.id === timeSlot)) {
+      return res.status(400).json({ error: `Unknown time slot (${rules.slots.map(slot => slot.id).join(', ')})` });
+    }
+
+    // Only dates the customer can't book now, for reasons that may change
+    const taken = await takenPlaces(db, eventDate, { exceptUserId: customer.id });
+    const day = dayAvailability(rules, eventDate, taken, { eventType, numGuests });
+    const slot = timeSlot && day.slots.find(s => s.id === timeSlot);
+    const reason = day.available && slot && !slot.available ? slot.reason : day.reason;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'This date is still available. Please book it directly.', code: 'DATE_AVAILABLE' });
+    }
+    if (!FULL_REASONS.includes(reason)) {
+      return res.status(400).json({ error: day.error, code: 'DATE_UNAVAILABLE', reason });
+    }
+
+    const existing = await db.waitlist.findOne(entry =>
+      isActive(entry) && entry.userId === customer.id && entry.eventDate === eventDate
+    );
+    if (existing) {
+      return res.status(409).json({ error: 'You are already on the waitlist for this date' });
+    }
+
+    const entry = await db.waitlist.create({
+      userId: customer.id,
+      customerName: `${customer.firstName || ''} ${customer.lastName || ''}`.trim(),
+      customerEmail: customer.email,
+      eventDate,
+      timeSlot: timeSlot || '',
+      eventType,
+      numGuests: parseInt(numGuests),
+      eventVenue: eventVenue || '',
+      specialInstructions: specialInstructions || '',
+      status: 'waiting',
+      createdAt: new Date().toISOString()
+    });
+
+    const entries = await db.waitlist.all();
+    res.status(201).json({
+      message: "You're on the waitlist. We'll email you if a place opens up.",
+      entry: { ...entry, position: positionOf(entry, entries) }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The customer's waitlist entries, with their place in the queue
+router.get('/mine', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const entries = await db.waitlist.all();
+    const mine = entries.filter(entry => entry.userId === req.user.id).sort(newestFirst);
+
+    res.json({ entries: mine.map(entry => ({ ...entry, position: positionOf(entry, entries) })) });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Waitlist demand per upcoming date (staff)
+router.get('/demand', authenticateToken, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    res.json({ demand: await waitlistDemand(db) });
+  } catch (error) {
+    console.error('Get waitlist demand error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Waitlist entries of a date (?date=YYYY-MM-DD), in queue order (staff)
+router.get('/', authenticateToken, requirePermission('bookings.view'), async (req, res) => {
+  try {
+    const db = getDatabase();
+    const { date } = req.query;
+    const entries = await db.waitlist.all();
+    const listed = entries
+      .filter(entry => isActive(entry) && (!date || entry.eventDate === date))
+      .sort((a, b) => a.eventDate.localeCompare(b.eventDate) || new Date(a.createdAt) - new Date(b.createdAt));
+
+    res.json({ entries: listed.map(entry => ({ ...entry, position: positionOf(entry, entries) })) });
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Leave the waitlist (giving up a held place)
+router.delete('/:id', authenticateToken, requireCustomerOrAdmin, async (req, res) => {
+  try {
+    const db = getDatabase();
+    const entry = await leaveWaitlist(db, req.params.id, req.user);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found' });
+    }
+    res.json({ message: 'You have left the waitlist', entry });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
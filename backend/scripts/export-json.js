@@ -0,0 +1,33 @@
+// Export the SQLite database back to JSON data files (rollback to DB_DRIVER=json).
+//
+//   node scripts/export-json.js [--out <json data dir>] [--file <sqlite file>]
+//
+// Existing JSON files in the output directory are overwritten.
+
+const { createJsonStore, DATA_DIR } = require('../database/json-store');
+const { createSqliteStore, SQLITE_FILE } = require('../database/sqlite-store');
+const { copyCollections } = require('../database/transfer');
+
+function argValue(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function main() {
+  const out = argValue('--out', DATA_DIR);
+  const file = argValue('--file', process.env.SQLITE_FILE || SQLITE_FILE);
+
+  const sqlite = createSqliteStore(file);
+  try {
+    const copied = await copyCollections(sqlite, createJsonStore(out), { overwrite: true });
+    Object.keys(copied).forEach(collection => console.log(`✅ ${collection}: ${copied[collection]} records`));
+    console.log(`📁 JSON data directory: ${out}`);
+  } finally {
+    sqlite.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Export failed:', error.message);
+  process.exit(1);
+});
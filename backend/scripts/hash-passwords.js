@@ -0,0 +1,48 @@
+// One-time upgrade of plain text passwords to bcrypt hashes.
+//
+//   node scripts/hash-passwords.js [--data <json data dir>] [--dry-run]
+//
+// Works on the configured storage driver (DB_DRIVER), or on the JSON files
+// in --data. Passwords that are already hashed are left alone, so it is safe
+// to run more than once. Accounts that aren't upgraded here are hashed at
+// their next login anyway.
+
+const { createStore, createDatabase } = require('../database/init');
+const { createJsonStore } = require('../database/json-store');
+const { hashPassword, isPasswordHash } = require('../middleware/auth');
+
+function argValue(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function main() {
+  const dataDir = argValue('--data', null);
+  const dryRun = process.argv.includes('--dry-run');
+
+  const store = dataDir ? createJsonStore(dataDir) : createStore();
+  const db = createDatabase(store);
+
+  try {
+    const plain = await db.users.filter(user => user.password && !isPasswordHash(user.password));
+
+    for (const user of plain) {
+      if (!dryRun) {
+        const password = await hashPassword(user.password);
+        await db.users.update(user.id, { password });
+      }
+      console.log(`${dryRun ? '🔎 Would hash' : '🔒 Hashed'} password of ${user.email}`);
+    }
+
+    console.log(`✅ ${plain.length} of ${await db.users.count()} passwords ${dryRun ? 'need hashing' : 'hashed'}`);
+  } finally {
+    if (store.close) {
+      store.close();
+    }
+  }
+}
+
+main().catch(error => {
+  console.error('Hashing passwords failed:', error.message);
+  process.exit(1);
+});
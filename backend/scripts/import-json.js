@@ -0,0 +1,40 @@
+// One-shot import of backend/data/*.json into the SQLite database.
+//
+//   node scripts/import-json.js [--from <json data dir>] [--file <sqlite file>] [--force]
+//
+// Record ids are kept as they are. Collections that already exist in the
+// SQLite database are skipped unless --force is given.
+
+const { createJsonStore, DATA_DIR } = require('../database/json-store');
+const { createSqliteStore, SQLITE_FILE } = require('../database/sqlite-store');
+const { copyCollections } = require('../database/transfer');
+
+function argValue(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+async function main() {
+  const from = argValue('--from', DATA_DIR);
+  const file = argValue('--file', process.env.SQLITE_FILE || SQLITE_FILE);
+  const overwrite = process.argv.includes('--force');
+
+  const sqlite = createSqliteStore(file);
+  try {
+    const copied = await copyCollections(createJsonStore(from), sqlite, { overwrite });
+    const names = Object.keys(copied);
+
+    if (names.length === 0) {
+      console.log('Nothing to import (use --force to overwrite existing tables)');
+    }
+    names.forEach(collection => console.log(`✅ ${collection}: ${copied[collection]} records`));
+    console.log(`📁 SQLite database: ${file}`);
+  } finally {
+    sqlite.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});
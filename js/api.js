@@ -3,6 +3,8 @@ class APIClient {
     constructor() {
         this.baseURL = CONFIG ? CONFIG.API_BASE_URL : 'http://localhost:3000/api';
         this.token = localStorage.getItem('dsis_token');
+        this.refreshToken = localStorage.getItem('dsis_refresh_token');
+        this.refreshing = null;
     }
 
     // Set authentication token
@@ -15,6 +17,39 @@ class APIClient {
         }
     }
 
+    // Set the refresh token of the login session
+    setRefreshToken(refreshToken) {
+        this.refreshToken = refreshToken;
+        if (refreshToken) {
+            localStorage.setItem('dsis_refresh_token', refreshToken);
+        } else {
+            localStorage.removeItem('dsis_refresh_token');
+        }
+    }
+
+    // Swap the refresh token for a new access token. Requests that fail at
+    // the same time share one refresh, since each refresh token works once.
+    async refreshSession() {
+        if (!this.refreshing) {
+            this.refreshing = this.request('/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            }, true)
+                .then(result => {
+                    this.setToken(result.token);
+                    this.setRefreshToken(result.refreshToken);
+                    if (result.user) {
+                        localStorage.setItem('dsis_user', JSON.stringify(result.user));
+                    }
+                    return result;
+                })
+                .finally(() => {
+                    this.refreshing = null;
+                });
+        }
+        return this.refreshing;
+    }
+
     // Get headers with auth token
     getHeaders() {
         const headers = {
@@ -28,12 +63,15 @@ class APIClient {
         return headers;
     }
 
-    // Make HTTP request
-    async request(endpoint, options = {}) {
+    // Make HTTP request. An expired access token is renewed once with the
+    // refresh token and the request repeated.
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseURL}${endpoint}`;
+        // Extra headers go on top of fresh auth headers, so a retry after a
+        // token refresh sends the new token
         const config = {
-            headers: this.getHeaders(),
-            ...options
+            ...options,
+            headers: { ...this.getHeaders(), ...(options.headers || {}) }
         };
 
         try {
@@ -63,6 +101,11 @@ class APIClient {
                 data = { message: text };
             }
 
+            if (response.status === 401 && data.error === 'Token expired' && !retried && this.refreshToken) {
+                await this.refreshSession();
+                return this.request(endpoint, options, true);
+            }
+
             if (!response.ok) {
                 const error = new Error(data.error || data.message || `HTTP ${response.status}`);
                 error.data = data;
@@ -89,6 +132,14 @@ class APIClient {
         });
     }
 
+    // Second login step for accounts with two-factor authentication
+    async verifyTwoFactor(challengeToken, code) {
+        return this.request('/auth/2fa/login', {
+            method: 'POST',
+            body: JSON.stringify({ challengeToken, code })
+        });
+    }
+
     async register(userData) {
         return this.request('/auth/register', {
             method: 'POST',
@@ -101,53 +152,76 @@ class APIClient {
     }
 
     async updateProfile(profileData) {
-        // For simple backend, include current email from localStorage
-        const userRaw = localStorage.getItem('dsis_user');
-        if (userRaw) {
-            try {
-                const user = JSON.parse(userRaw);
-                profileData.email = user.email; // Include current email for simple backend
-            } catch (e) {
-                console.warn('Could not parse user from localStorage');
-            }
-        }
-        return this.request('/auth/profile', {
+        const result = await this.request('/auth/profile', {
             method: 'PUT',
             body: JSON.stringify(profileData)
         });
+        // The server issues a new token carrying the updated email/username
+        if (result.token) {
+            this.setToken(result.token);
+        }
+        return result;
     }
 
     async changePassword(currentPassword, newPassword) {
-        // For simple backend, include email from localStorage
-        const userRaw = localStorage.getItem('dsis_user');
-        const passwordData = { currentPassword, newPassword };
-        if (userRaw) {
-            try {
-                const user = JSON.parse(userRaw);
-                passwordData.email = user.email; // Include email for simple backend
-            } catch (e) {
-                console.warn('Could not parse user from localStorage');
-            }
-        }
         return this.request('/auth/change-password', {
             method: 'POST',
-            body: JSON.stringify(passwordData)
+            body: JSON.stringify({ currentPassword, newPassword })
         });
     }
 
     async logout() {
-        const result = await this.request('/auth/logout', { method: 'POST' });
-        this.setToken(null);
-        return result;
+        try {
+            return await this.request('/auth/logout', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            });
+        } finally {
+            this.setToken(null);
+            this.setRefreshToken(null);
+        }
+    }
+
+    // Login sessions of the current user (devices)
+    async getSessions() {
+        return this.request('/auth/sessions');
+    }
+
+    async revokeSession(sessionId) {
+        return this.request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+    }
+
+    // Log out everywhere, or everywhere except this browser
+    async revokeAllSessions(keepCurrent = false) {
+        return this.request(`/auth/sessions${keepCurrent ? '?keepCurrent=true' : ''}`, { method: 'DELETE' });
     }
 
-    async forgotPassword({ email, mobileNumber, newPassword }) {
+    // Mails a password reset link/code to the account's email
+    async forgotPassword(email) {
         return this.request('/auth/forgot-password', {
             method: 'POST',
-            body: JSON.stringify({ email, mobileNumber, newPassword })
+            body: JSON.stringify({ email })
+        });
+    }
+
+    async resetPassword(token, newPassword) {
+        return this.request('/auth/reset-password', {
+            method: 'POST',
+            body: JSON.stringify({ token, newPassword })
+        });
+    }
+
+    async verifyEmail(token) {
+        return this.request('/auth/verify-email', {
+            method: 'POST',
+            body: JSON.stringify({ token })
         });
     }
 
+    async resendVerification() {
+        return this.request('/auth/resend-verification', { method: 'POST' });
+    }
+
     // Menu endpoints
     async getMenuItems(filters = {}) {
         const params = new URLSearchParams(filters);
@@ -158,7 +232,48 @@ class APIClient {
         return this.request('/menu/categories/list');
     }
 
+    // Offers running now, with their effects spelled out (effectSummary)
+    async getActiveOffers() {
+        return this.request('/offers/active');
+    }
+
     // Booking endpoints
+    // Which days of a month (YYYY-MM) and which of their time slots can be
+    // booked, optionally for an event type and number of guests
+    async getAvailability(month, { eventType, numGuests } = {}) {
+        const params = new URLSearchParams({ month });
+        if (eventType) params.set('eventType', eventType);
+        if (numGuests) params.set('numGuests', numGuests);
+        return this.request(`/bookings/availability?${params}`);
+    }
+
+    // Time slots of one day (YYYY-MM-DD), the same way
+    async getDateAvailability(date, { eventType, numGuests } = {}) {
+        const params = new URLSearchParams();
+        if (eventType) params.set('eventType', eventType);
+        if (numGuests) params.set('numGuests', numGuests);
+        return this.request(`/bookings/availability/${date}?${params}`);
+    }
+
+    // Price breakdown of a menu selection ([{ itemId, quantity }]) with an
+    // optional promo code, worked out by the server from the menu.
+    // booking: { eventType, eventDate, numGuests, offerId }, for the offer's
+    // effects and the promo code's rules
+    async quoteBooking(menuItems, promoCode = null, booking = {}) {
+        return this.request('/bookings/quote', {
+            method: 'POST',
+            body: JSON.stringify({ menuItems, promoCode, ...booking })
+        });
+    }
+
+    // booking: what is known so far ({ menuItems, eventType, eventDate, offerId })
+    async validatePromoCode(code, booking = {}) {
+        return this.request('/promo-codes/validate', {
+            method: 'POST',
+            body: JSON.stringify({ code, ...booking })
+        });
+    }
+
     async createBooking(bookingData) {
         return this.request('/bookings', {
             method: 'POST',
@@ -175,13 +290,74 @@ class APIClient {
         return this.request(`/bookings/${id}`);
     }
 
-    async updateBookingStatus(id, status) {
+    async updateBookingStatus(id, status, reason = '') {
         return this.request(`/bookings/${id}/status`, {
             method: 'PATCH',
-            body: JSON.stringify({ status })
+            body: JSON.stringify({ status, reason })
         });
     }
 
+    async getMyBookings(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return this.request(`/bookings/my-bookings?${params}`);
+    }
+
+    // What the customer may still change, and what cancelling costs now
+    async getBookingPolicy(id) {
+        return this.request(`/bookings/${id}/policy`);
+    }
+
+    // Change date, time slot, guests or menu ({ eventDate, timeSlot,
+    // numGuests, menuItems }); with preview: true only the new price
+    async changeBooking(id, changes) {
+        return this.request(`/bookings/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async getBookingHistory(id) {
+        return this.request(`/bookings/${id}/history`);
+    }
+
+    // Waitlist endpoints
+    // Wait for a place on a fully booked date ({ eventDate, timeSlot,
+    // eventType, numGuests, eventVenue, specialInstructions })
+    async joinWaitlist(entry) {
+        return this.request('/waitlist', {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+    }
+
+    async getMyWaitlist() {
+        return this.request('/waitlist/mine');
+    }
+
+    async leaveWaitlist(id) {
+        return this.request(`/waitlist/${id}`, { method: 'DELETE' });
+    }
+
+    // Payment endpoints
+    // Payment schedule, balance and payments of a booking
+    async getBookingPayments(bookingId) {
+        return this.request(`/payments/booking/${bookingId}`);
+    }
+
+    // Start paying online; resolves to { intent } whose redirectUrl is the
+    // payment page. Retries with the same idempotencyKey get the same intent.
+    async startCheckout(bookingId, amount, idempotencyKey) {
+        return this.request(`/payments/booking/${bookingId}/checkout`, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': idempotencyKey },
+            body: JSON.stringify(amount ? { amount } : {})
+        });
+    }
+
+    async getPaymentIntent(reference) {
+        return this.request(`/payments/intents/${reference}`);
+    }
+
     // Receipt endpoints
     async generateReceipt(bookingId, paymentData = {}) {
         return this.request('/receipts/generate', {
@@ -196,22 +372,16 @@ class APIClient {
     }
 
     // Messages endpoints (simple JSON-backed)
-    async sendMessage({ subject, messageContent, userEmail, userName }) {
-        // DB backend ignores userEmail/userName (uses token). Including for backward compatibility.
+    async sendMessage({ subject, messageContent, userName }) {
+        // The sender is the logged in user (from the token)
         return this.request('/messages', {
             method: 'POST',
-            body: JSON.stringify({ subject, messageContent, userEmail, userName })
+            body: JSON.stringify({ subject, messageContent, userName })
         });
     }
 
-    async getMyMessages(email = null) {
-        // If email provided, use simple backend format
-        if (email) {
-            const params = new URLSearchParams({ email });
-            return this.request(`/messages/my?${params.toString()}`);
-        }
-        // Otherwise, use DB backend: token-based
-        return this.request('/messages/my-messages');
+    async getMyMessages() {
+        return this.request('/messages/my');
     }
 
     async adminGetAllMessages() {
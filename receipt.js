@@ -21,7 +21,7 @@ class ReceiptSystem {
                 customerPhone: bookingData.contactNumber || '',
                 // Include offer tracking
                 offerId: window.bookingOfferId || null,
-                promoCode: window.appliedPromoCode ? window.appliedPromoCode.code : null,
+                promoCode: bookingData.promoCode || null,
                 menuItems: menuItems.map(item => ({
                     itemId: item.id,
                     quantity: item.quantity
@@ -36,11 +36,9 @@ class ReceiptSystem {
                 throw new Error('Booking ID not found in response');
             }
 
-            // Then generate receipt for the booking
-            const receiptResponse = await api.generateReceipt(bookingId, {
-                paymentMethod: 'Cash/Card',
-                paymentStatus: 'pending'
-            });
+            // Then generate receipt for the booking; its payment method and
+            // status follow the payments made towards it
+            const receiptResponse = await api.generateReceipt(bookingId);
 
             // Extract receipt - handle both response formats
             const receipt = receiptResponse.receipt || receiptResponse;
@@ -238,15 +236,21 @@ class ReceiptSystem {
     async downloadPDF(receiptId) {
         try {
             const API_BASE_URL = 'http://localhost:3000/api';
-            const token = localStorage.getItem('dsis_token');
-            
-            const response = await fetch(`${API_BASE_URL}/receipts/${receiptId}/pdf`, {
+            const download = () => fetch(`${API_BASE_URL}/receipts/${receiptId}/pdf`, {
                 method: 'GET',
                 headers: {
-                    'Authorization': `Bearer ${token}`
+                    'Authorization': `Bearer ${localStorage.getItem('dsis_token')}`
                 }
             });
 
+            let response = await download();
+
+            // The access token may have expired: renew it once and try again
+            if (response.status === 401 && api.refreshToken) {
+                await api.refreshSession();
+                response = await download();
+            }
+
             if (!response.ok) {
                 throw new Error('Failed to generate PDF');
             }
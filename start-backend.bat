@@ -12,9 +12,16 @@ for /f "tokens=5" %%a in ('netstat -aon ^| findstr :3000') do (
 REM Wait a moment for the port to be released
 timeout /t 2 /nobreak >nul
 
+REM The server reads its settings (JWT_SECRET, PAYMENT_PROVIDER, ...) from backend\.env
+cd backend
+if not exist .env (
+    echo backend\.env is missing. Copy backend\.env.example to backend\.env and fill it in.
+    pause
+    exit /b 1
+)
+
 REM Start the backend server
 echo Starting server...
-cd backend
 node server.js
 
 pause